@@ -1,7 +1,9 @@
 // ============================================================
 // AGENT - Runs on each DigitalOcean droplet
-// Reads job config from env, runs SchedulerInstance,
-// and POSTs logs + status back to the main VPS.
+// Trades its one-time bootstrap token for the job config,
+// runs SchedulerInstance, and forwards its events (logs,
+// status, bookings, blocks...) to the main VPS, which handles
+// them like a local job's. Config and secrets stay in memory.
 // ============================================================
 
 // Load .env if present (when run via PM2 on droplet)
@@ -17,25 +19,28 @@ if (fs.existsSync(envPath)) {
 
 const https = require('https');
 const http = require('http');
+const callbackAuth = require('../callback-auth');
 
 // ── Config from env ──
 const JOB_ID          = process.env.JOB_ID;
-const MAIN_VPS_URL    = process.env.MAIN_VPS_URL;   // e.g. http://1.2.3.4:3456
-const CALLBACK_SECRET = process.env.CALLBACK_SECRET || 'changeme';
-const CONFIG_B64      = process.env.JOB_CONFIG_B64;
+const MAIN_VPS_URL    = process.env.MAIN_VPS_URL;    // e.g. https://scheduler.example.com
+const BOOTSTRAP_TOKEN = process.env.BOOTSTRAP_TOKEN; // one-time, short-lived
 
-if (!JOB_ID || !MAIN_VPS_URL || !CONFIG_B64) {
-  console.error('[Agent] Missing required env vars: JOB_ID, MAIN_VPS_URL, JOB_CONFIG_B64');
+if (!JOB_ID || !MAIN_VPS_URL || !BOOTSTRAP_TOKEN) {
+  console.error('[Agent] Missing required env vars: JOB_ID, MAIN_VPS_URL, BOOTSTRAP_TOKEN');
   process.exit(1);
 }
 
-const jobConfig = JSON.parse(Buffer.from(CONFIG_B64, 'base64').toString('utf8'));
+// Filled in by bootstrap()
+let jobConfig = null;
+let CALLBACK_SECRET = null; // per-droplet, issued by the main VPS
+
 console.log('[Agent] Starting for job ' + JOB_ID + ' → ' + MAIN_VPS_URL);
 
 // ── HTTP POST helper (supports http and https) ──
-function postJson(url, payload) {
+// Resolves { status, body } with the JSON response body (if any).
+function requestJson(url, data, headers) {
   return new Promise((resolve, reject) => {
-    const data = JSON.stringify(payload);
     const parsed = new URL(url);
     const lib = parsed.protocol === 'https:' ? https : http;
     const options = {
@@ -46,12 +51,17 @@ function postJson(url, payload) {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(data),
-        'x-callback-secret': CALLBACK_SECRET
+        ...headers
       }
     };
     const req = lib.request(options, (res) => {
-      res.resume(); // drain
-      resolve(res.statusCode);
+      let raw = '';
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        let body = null;
+        try { body = raw ? JSON.parse(raw) : null; } catch (e) { /* non-JSON */ }
+        resolve({ status: res.statusCode, body });
+      });
     });
     req.on('error', (err) => reject(err));
     req.setTimeout(10000, () => { req.destroy(); reject(new Error('timeout')); });
@@ -60,121 +70,105 @@ function postJson(url, payload) {
   });
 }
 
-// ── Send log back to main VPS ──
-async function sendLog(level, message) {
-  try {
-    await postJson(MAIN_VPS_URL + '/api/callback/log', { jobId: JOB_ID, level, message });
-  } catch (e) {
-    console.error('[Agent] Failed to send log:', e.message);
-  }
+// Every callback is HMAC-signed with this droplet's callback secret.
+async function postJson(url, payload) {
+  const data = JSON.stringify(payload);
+  const res = await requestJson(url, data, callbackAuth.signedHeaders(JOB_ID, CALLBACK_SECRET, data));
+  return res.status;
 }
 
-// ── Send status update back to main VPS ──
-async function sendStatus(status, extra) {
-  try {
-    await postJson(MAIN_VPS_URL + '/api/callback/status', { jobId: JOB_ID, status, ...extra });
-  } catch (e) {
-    console.error('[Agent] Failed to send status:', e.message);
+// ── Exchange the bootstrap token for config + callback secret ──
+// Retries network errors only: once the server has answered, the token is spent.
+async function bootstrap() {
+  const data = JSON.stringify({ jobId: JOB_ID });
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    let res;
+    try {
+      res = await requestJson(MAIN_VPS_URL + '/api/callback/bootstrap', data, {
+        'Authorization': 'Bootstrap ' + BOOTSTRAP_TOKEN,
+        'x-job-id': JOB_ID
+      });
+    } catch (err) {
+      console.error('[Agent] Bootstrap attempt ' + attempt + ' failed: ' + err.message);
+      await new Promise(r => setTimeout(r, attempt * 5000));
+      continue;
+    }
+    if (res.status !== 200 || !res.body || !res.body.config || !res.body.callbackSecret) {
+      throw new Error('Bootstrap rejected by main VPS (HTTP ' + res.status + '). Token already used or expired?');
+    }
+    jobConfig = res.body.config;
+    CALLBACK_SECRET = res.body.callbackSecret;
+    delete process.env.BOOTSTRAP_TOKEN;
+    return;
   }
+  throw new Error('Could not reach main VPS for bootstrap.');
 }
 
-// ── Minimal in-process DB shim (no SQLite on droplet) ──
-// The agent doesn't need a real DB - it ships data back to main VPS.
-const dbShim = {
-  addLog(jobId, level, message) {
-    sendLog(level, message).catch(() => {});
-  },
-  updateJob(jobId, data) {
-    sendStatus(data.status || 'running', data).catch(() => {});
-  },
-  getJob(jobId) { return null; },
-  getCachedLocations(jobId) { return []; },
-  cacheLocations(jobId, locations) {}
-};
-
-// Monkey-patch the database module to use the shim
-// We do this by injecting the shim before requiring scheduler-engine
-const Module = require('module');
-const originalLoad = Module._load;
-Module._load = function (request, parent, isMain) {
-  if (request === './database' || request === '../database') {
-    return dbShim;
-  }
-  return originalLoad.apply(this, arguments);
-};
+// ── Forward scheduler events to the main VPS ──
+// Sent one at a time so they arrive in order; flush() waits for the backlog.
+let sendQueue = Promise.resolve();
 
-// Now safe to load scheduler-engine
-const { SchedulerInstance, loadModules } = require('../scheduler-engine');
+function sendEvent(event, payload) {
+  sendQueue = sendQueue.then(async () => {
+    try {
+      const status = await postJson(MAIN_VPS_URL + '/api/callback/event', { jobId: JOB_ID, event, payload });
+      if (status !== 200) console.error('[Agent] Main VPS rejected "' + event + '" event (HTTP ' + status + ')');
+    } catch (e) {
+      console.error('[Agent] Failed to send "' + event + '" event:', e.message);
+    }
+  });
+  return sendQueue;
+}
+
+function flush() {
+  return sendQueue;
+}
+
+// Same scheduler as the main VPS — its events are the only output
+const { SchedulerInstance, loadModules, EVENTS } = require('../scheduler-engine');
 
-// ── Custom SchedulerInstance that uses a pre-loaded config ──
 let agentInstance = null; // keep reference for graceful shutdown
+let lastStatus = null;    // last status the scheduler reported
 
 async function runAgent() {
+  await bootstrap();
+  console.log('[Agent] Config received from main VPS.');
   await loadModules();
 
   const instance = new SchedulerInstance(JOB_ID);
   agentInstance = instance; // store for SIGTERM handler
 
-  // Inject config directly (no DB read needed)
-  const originalStart = instance.start.bind(instance);
-  instance.start = async function () {
-    if (this.running) return;
-    await loadModules();
-
-    this.config = {
-      email: jobConfig.email,
-      password: jobConfig.password,
-      scheduleId: jobConfig.scheduleId,
-      country: jobConfig.country || 'en-ca',
-      facilityIds: jobConfig.facilityIds || [],
-      startDate: jobConfig.startDate,
-      endDate: jobConfig.endDate,
-      checkIntervalSeconds: jobConfig.checkIntervalSeconds || 30,
-      intervalSchedule: jobConfig.intervalSchedule || [],
-      autoBook: jobConfig.autoBook !== false,
-      maxReloginAttempts: jobConfig.maxReloginAttempts || 5,
-      requestTimeoutMs: jobConfig.requestTimeoutMs || 20000,
-      maxRetries: jobConfig.maxRetries || 3
-    };
-
-    this.running = true;
-    this.stopping = false;
-    this.health.startedAt = new Date().toISOString();
-
-    await sendStatus('running', { startedAt: this.health.startedAt });
-    this.log('info', '🚀 Agent started for job ' + JOB_ID);
+  let fatalError = null;
+  for (const event of EVENTS) {
+    instance.on(event, payload => sendEvent(event, payload));
+  }
+  instance.on('state', fields => { if (fields.status) lastStatus = fields.status; });
+  instance.on('fatal', ({ error }) => { fatalError = error; });
 
-    try {
-      await this.login();
-    } catch (err) {
-      this.log('error', 'Initial login failed: ' + err.message);
-      await sendStatus('error', { lastError: err.message });
-      this.running = false;
+  // Run and handle exit
+  try {
+    instance.log('info', '🚀 Agent started for job ' + JOB_ID);
+    await instance.start(jobConfig);
+    if (instance.loopPromise) await instance.loopPromise;
+
+    if (fatalError) {
+      // Already reported by the scheduler ('state' + 'fatal')
+      console.error('[Agent] ' + fatalError);
+      await flush();
       process.exit(1);
     }
 
-    try {
-      const locations = await this.fetchLocations();
-      this.log('success', 'Found ' + locations.length + ' locations.');
-    } catch (err) {
-      this.log('warn', 'Failed to fetch locations: ' + err.message);
-    }
-
-    this.log('success', '🔄 Monitoring started.');
-    this.loopPromise = this._runLoop();
-    await this.loopPromise;
-  };
-
-  // Run and handle exit
-  try {
-    await instance.start();
-    await sendStatus('stopped', {});
+    // A booked or expired job keeps its status
+    if (lastStatus !== 'booked' && lastStatus !== 'expired') sendEvent('state', { status: 'stopped' });
+    await flush();
     console.log('[Agent] Job finished cleanly. Signalling main VPS to destroy droplet.');
     await postJson(MAIN_VPS_URL + '/api/callback/destroy', { jobId: JOB_ID });
     setTimeout(() => process.exit(0), 2000);
   } catch (err) {
     console.error('[Agent] Fatal error:', err.message);
-    await sendStatus('error', { lastError: err.message });
+    sendEvent('state', { status: 'error', lastError: err.message });
+    sendEvent('fatal', { error: err.message });
+    await flush();
     await postJson(MAIN_VPS_URL + '/api/callback/destroy', { jobId: JOB_ID });
     setTimeout(() => process.exit(1), 2000);
   }
@@ -186,12 +180,19 @@ process.on('SIGTERM', async () => {
   if (agentInstance) {
     try { await agentInstance.stop(); } catch (e) { /* ignore */ }
   }
-  await sendStatus('stopped', {}).catch(() => {});
+  if (CALLBACK_SECRET) {
+    if (lastStatus !== 'booked' && lastStatus !== 'stopped' && lastStatus !== 'expired') sendEvent('state', { status: 'stopped' });
+    await flush();
+  }
   process.exit(0);
 });
 
 runAgent().catch(async (err) => {
   console.error('[Agent] Unhandled:', err);
-  await sendStatus('error', { lastError: err.message }).catch(() => {});
+  // Without a callback secret (bootstrap failed) the main VPS can't be told
+  if (CALLBACK_SECRET) {
+    sendEvent('state', { status: 'error', lastError: err.message });
+    await flush();
+  }
   process.exit(1);
 });
@@ -0,0 +1,132 @@
+// ============================================================
+// AIS PARSER - Turns text scraped from AIS pages into data
+// Pure functions only: callers fetch the page (Puppeteer or
+// plain HTTP) and hand its text or HTML here.
+// ============================================================
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  const y = parseInt(year), m = parseInt(month), d = parseInt(day);
+  if (!y || !m || !d || d > 31) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null; // e.g. 31 April
+  return y + '-' + pad(m) + '-' + pad(d);
+}
+
+// ── "14 March, 2026" or "March 14, 2026" → "2026-03-14" (null if none found) ──
+function parseAisDate(text) {
+  if (!text) return null;
+  const s = String(text).replace(/\s+/g, ' ');
+
+  let m = s.match(/\b(\d{1,2}) ([A-Za-z]+),? (\d{4})\b/);
+  if (m && MONTHS[m[2].toLowerCase()]) return toIsoDate(m[3], MONTHS[m[2].toLowerCase()], m[1]);
+
+  m = s.match(/\b([A-Za-z]+) (\d{1,2}),? (\d{4})\b/);
+  if (m && MONTHS[m[1].toLowerCase()]) return toIsoDate(m[3], MONTHS[m[1].toLowerCase()], m[2]);
+
+  m = s.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (m) return toIsoDate(m[1], m[2], m[3]);
+
+  return null;
+}
+
+// ── Current consular appointment from the group page ──
+// text: the "Consular Appointment: 14 March, 2026, 08:15 Toronto local time at Toronto" line.
+// Returns { date: 'YYYY-MM-DD', time: 'HH:MM' | null } or null when there is none.
+function parseCurrentAppointment(text) {
+  const date = parseAisDate(text);
+  if (!date) return null;
+  const t = String(text).match(/\b(\d{1,2}):(\d{2})\b/);
+  return { date, time: t ? pad(t[1]) + ':' + t[2] : null };
+}
+
+// ── HTML → plain text (tags dropped, common entities decoded, whitespace collapsed) ──
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#58;/g, ':')
+    .replace(/&mdash;|&#8212;/g, '—')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&#39;|&#x27;/g, "'").replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ── Location from "… 08:15 Toronto local time at Toronto — Get Directions" ──
+function parseAppointmentLocation(text) {
+  const m = String(text).match(/\blocal time at (.+?)(?:\s+[—–-]\s+|\s*Get Directions|$)/i) ||
+            String(text).match(/\d{1,2}:\d{2}.*?\bat (.+?)(?:\s+[—–-]\s+|\s*Get Directions|$)/i);
+  return m ? m[1].trim() : null;
+}
+
+// ── Rows of the first <table> in a chunk of HTML → [{ header, cells: [text, ...] }] ──
+function tableRows(html) {
+  const table = String(html).match(/<table[\s\S]*?<\/table>/i);
+  if (!table) return [];
+  const rows = [];
+  for (const row of table[0].match(/<tr[\s\S]*?<\/tr>/gi) || []) {
+    const cells = (row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(htmlToText);
+    rows.push({ header: /<th/i.test(row) && !/<td/i.test(row), cells });
+  }
+  return rows;
+}
+
+// ── Group page: current appointment + applicants for one schedule ──
+// The page lists every schedule on the account; the one with links to
+// /schedule/<scheduleId>/ wins, otherwise the first one.
+// Returns { appointment: { date, time, location } | null, applicants: [{ name, visaClass }], visaClass }
+function parseGroupPage(html, scheduleId) {
+  const page = String(html || '');
+  const chunks = page.split(/(?=<div[^>]+class=["'][^"']*\bapplication\b)/i).slice(1);
+  const chunk = chunks.find(c => scheduleId && c.includes('/schedule/' + scheduleId + '/')) ||
+                chunks.find(c => /consular-appt/i.test(c)) ||
+                page;
+
+  let appointment = null;
+  const appt = chunk.match(/<p[^>]+class=["'][^"']*consular-appt[^"']*["'][^>]*>([\s\S]*?)<\/p>/i);
+  if (appt) {
+    const text = htmlToText(appt[1]);
+    const parsed = parseCurrentAppointment(text);
+    if (parsed) appointment = { ...parsed, location: parseAppointmentLocation(text) };
+  }
+
+  const applicants = [];
+  const rows = tableRows(chunk);
+  const header = rows.find(r => r.header);
+  const nameCol = header ? header.cells.findIndex(c => /applicant|name/i.test(c)) : 0;
+  const classCol = header ? header.cells.findIndex(c => /visa class|class/i.test(c)) : -1;
+  for (const row of rows) {
+    if (row.header || row.cells.length === 0) continue;
+    const name = row.cells[nameCol >= 0 ? nameCol : 0];
+    if (!name) continue;
+    applicants.push({ name, visaClass: classCol >= 0 ? (row.cells[classCol] || null) : null });
+  }
+
+  const classes = [...new Set(applicants.map(a => a.visaClass).filter(Boolean))];
+  return { appointment, applicants, visaClass: classes.length > 0 ? classes.join(', ') : null };
+}
+
+// ── Shift a "YYYY-MM-DD" date by whole days ──
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+module.exports = {
+  parseAisDate,
+  parseCurrentAppointment,
+  parseGroupPage,
+  htmlToText,
+  addDays
+};
@@ -0,0 +1,58 @@
+// ============================================================
+// CALLBACK AUTH - HMAC signing for droplet → main VPS callbacks
+// Each droplet gets its own secret. Every callback body is signed
+// together with a timestamp and a one-time nonce:
+//   x-signature = HMAC-SHA256(secret, timestamp + '.' + nonce + '.' + body)
+// ============================================================
+
+const crypto = require('crypto');
+
+// Signed requests older/newer than this are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, timestamp, nonce, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(timestamp + '.' + nonce + '.' + body)
+    .digest('hex');
+}
+
+// ── Headers for a signed callback (body = the exact string sent) ──
+function signedHeaders(jobId, secret, body) {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'x-job-id': jobId,
+    'x-timestamp': timestamp,
+    'x-nonce': nonce,
+    'x-signature': sign(secret, timestamp, nonce, body)
+  };
+}
+
+// ── Check signature and timestamp ──
+// Returns null when valid, otherwise a short reason. Nonce reuse is
+// checked by the caller, which owns the nonce store.
+function verify(secret, headers, body) {
+  const timestamp = headers['x-timestamp'];
+  const nonce = headers['x-nonce'];
+  const signature = headers['x-signature'];
+  if (!timestamp || !nonce || !signature) return 'missing signature headers';
+
+  const ts = parseInt(timestamp, 10);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) return 'stale timestamp';
+
+  const expected = Buffer.from(sign(secret, timestamp, nonce, body), 'hex');
+  const actual = Buffer.from(String(signature), 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'bad signature';
+  return null;
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_MS,
+  generateSecret,
+  signedHeaders,
+  verify
+};
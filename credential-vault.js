@@ -0,0 +1,112 @@
+// ============================================================
+// CREDENTIAL VAULT - Envelope encryption for stored secrets
+// Each value gets its own random data key (AES-256-GCM); the
+// data key is wrapped with the master key from the environment.
+// Env: CREDENTIALS_MASTER_KEY (current), CREDENTIALS_MASTER_KEY_PREVIOUS
+//      (comma-separated old keys, only needed during rotation)
+// ============================================================
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGO = 'aes-256-gcm';
+
+// ── Parse a 32-byte key given as hex (64 chars) or base64 ──
+function parseKey(raw) {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  let key = null;
+  if (/^[0-9a-f]{64}$/i.test(value)) key = Buffer.from(value, 'hex');
+  else key = Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Master key must be 32 bytes, given as 64 hex chars or base64.');
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// ── Keyring: current key first, then any previous keys (by id) ──
+function loadKeyring() {
+  const current = parseKey(process.env.CREDENTIALS_MASTER_KEY);
+  const keys = new Map();
+  if (current) keys.set(keyId(current), current);
+  for (const raw of (process.env.CREDENTIALS_MASTER_KEY_PREVIOUS || '').split(',')) {
+    const key = parseKey(raw);
+    if (key) keys.set(keyId(key), key);
+  }
+  return { current, currentId: current ? keyId(current) : null, keys };
+}
+
+function isEnabled() {
+  return !!(process.env.CREDENTIALS_MASTER_KEY || '').trim();
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// iv (12) | tag (16) | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ct]).toString('base64');
+}
+
+function open(key, sealed) {
+  const buf = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGO, key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+// ── Encrypt a string with the current master key ──
+// Returns the value unchanged when no master key is configured.
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+  const { current, currentId } = loadKeyring();
+  if (!current) return plaintext;
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(current, dataKey);
+  const body = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  return PREFIX + currentId + ':' + wrappedKey + ':' + body;
+}
+
+// ── Decrypt a stored value (legacy plaintext passes through) ──
+function decrypt(stored) {
+  if (!isEncrypted(stored)) return stored;
+  const [id, wrappedKey, body] = stored.slice(PREFIX.length).split(':');
+  const { keys } = loadKeyring();
+  const kek = keys.get(id);
+  if (!kek) {
+    throw new Error('No master key available for credential key id ' + id + '. Set CREDENTIALS_MASTER_KEY (or CREDENTIALS_MASTER_KEY_PREVIOUS).');
+  }
+  const dataKey = open(kek, wrappedKey);
+  return open(dataKey, body).toString('utf8');
+}
+
+// ── True if the value is not sealed with the current master key ──
+function needsReencrypt(stored) {
+  if (stored === null || stored === undefined) return false;
+  const { currentId } = loadKeyring();
+  if (!currentId) return false;
+  if (!isEncrypted(stored)) return true;
+  return stored.slice(PREFIX.length).split(':')[0] !== currentId;
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  isEnabled,
+  needsReencrypt,
+  generateKey
+};
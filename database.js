@@ -4,12 +4,22 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const vault = require('./credential-vault');
+const { redact } = require('./redact');
+const { facilityEntry } = require('./matching');
 
 const DB_PATH = path.join(__dirname, 'data', 'scheduler.db');
 
 let db;
 
+// Change feed for live dashboard updates:
+//   'job' (job), 'job_deleted' (job), 'log' (row), 'logs_cleared' (jobId)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
 function initDatabase() {
   // Ensure data directory exists
   const dataDir = path.join(__dirname, 'data');
@@ -77,6 +87,78 @@ function initDatabase() {
       PRIMARY KEY (job_id, facility_id),
       FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
     );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      username TEXT,
+      ip TEXT,
+      action TEXT NOT NULL,
+      job_id TEXT,
+      target TEXT,
+      changes TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_job_id ON audit_log(job_id);
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '[]',
+      secret TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      job_id TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_status_code INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+
+    CREATE TABLE IF NOT EXISTS callback_nonces (
+      nonce TEXT PRIMARY KEY,
+      job_id TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      revoked_at TEXT
+    );
   `);
 
   // Migrate existing DBs: add droplet columns if missing
@@ -85,38 +167,122 @@ function initDatabase() {
   if (!cols.includes('droplet_ip'))     db.exec("ALTER TABLE jobs ADD COLUMN droplet_ip TEXT");
   if (!cols.includes('droplet_status')) db.exec("ALTER TABLE jobs ADD COLUMN droplet_status TEXT");
   if (!cols.includes('interval_schedule')) db.exec("ALTER TABLE jobs ADD COLUMN interval_schedule TEXT");
+  if (!cols.includes('owner_id'))       db.exec("ALTER TABLE jobs ADD COLUMN owner_id TEXT");
+  if (!cols.includes('callback_secret')) db.exec("ALTER TABLE jobs ADD COLUMN callback_secret TEXT");
+  if (!cols.includes('notifications'))   db.exec("ALTER TABLE jobs ADD COLUMN notifications TEXT");
+  if (!cols.includes('bootstrap_token_hash'))  db.exec("ALTER TABLE jobs ADD COLUMN bootstrap_token_hash TEXT");
+  if (!cols.includes('bootstrap_expires_at'))  db.exec("ALTER TABLE jobs ADD COLUMN bootstrap_expires_at TEXT");
+  if (!cols.includes('bootstrap_used_hash'))   db.exec("ALTER TABLE jobs ADD COLUMN bootstrap_used_hash TEXT");
+  if (!cols.includes('reschedule_mode'))       db.exec("ALTER TABLE jobs ADD COLUMN reschedule_mode INTEGER NOT NULL DEFAULT 0");
+  if (!cols.includes('min_improvement_days'))  db.exec("ALTER TABLE jobs ADD COLUMN min_improvement_days INTEGER NOT NULL DEFAULT 1");
+  if (!cols.includes('current_appointment_date')) db.exec("ALTER TABLE jobs ADD COLUMN current_appointment_date TEXT");
+  if (!cols.includes('current_appointment_time')) db.exec("ALTER TABLE jobs ADD COLUMN current_appointment_time TEXT");
+  if (!cols.includes('current_appointment_location')) db.exec("ALTER TABLE jobs ADD COLUMN current_appointment_location TEXT");
+  if (!cols.includes('applicants'))            db.exec("ALTER TABLE jobs ADD COLUMN applicants TEXT");
+  if (!cols.includes('visa_class'))            db.exec("ALTER TABLE jobs ADD COLUMN visa_class TEXT");
+  if (!cols.includes('account_checked_at'))    db.exec("ALTER TABLE jobs ADD COLUMN account_checked_at TEXT");
+  if (!cols.includes('date_rules'))            db.exec("ALTER TABLE jobs ADD COLUMN date_rules TEXT");
+  if (!cols.includes('time_preferences'))      db.exec("ALTER TABLE jobs ADD COLUMN time_preferences TEXT");
+  if (!cols.includes('date_ranges')) {
+    // Existing jobs get their single start/end range as the first entry
+    db.exec("ALTER TABLE jobs ADD COLUMN date_ranges TEXT");
+    db.exec("UPDATE jobs SET date_ranges = json_array(json_object('start', start_date, 'end', end_date))");
+  }
+  if (!cols.includes('active_hours'))          db.exec("ALTER TABLE jobs ADD COLUMN active_hours TEXT");
+  if (!cols.includes('active_until'))          db.exec("ALTER TABLE jobs ADD COLUMN active_until TEXT");
+  if (!cols.includes('next_wake_at'))          db.exec("ALTER TABLE jobs ADD COLUMN next_wake_at TEXT");
+  if (!cols.includes('cron_expression'))       db.exec("ALTER TABLE jobs ADD COLUMN cron_expression TEXT");
+  if (!cols.includes('cron_timezone'))         db.exec("ALTER TABLE jobs ADD COLUMN cron_timezone TEXT");
+  if (!cols.includes('stop_policy'))           db.exec("ALTER TABLE jobs ADD COLUMN stop_policy TEXT");
+  if (!cols.includes('stop_reason'))           db.exec("ALTER TABLE jobs ADD COLUMN stop_reason TEXT");
+  if (!cols.includes('asc_facility_id'))       db.exec("ALTER TABLE jobs ADD COLUMN asc_facility_id TEXT");
+  if (!cols.includes('booked_asc_date'))       db.exec("ALTER TABLE jobs ADD COLUMN booked_asc_date TEXT");
+  if (!cols.includes('booked_asc_time'))       db.exec("ALTER TABLE jobs ADD COLUMN booked_asc_time TEXT");
+  if (!cols.includes('booked_asc_facility'))   db.exec("ALTER TABLE jobs ADD COLUMN booked_asc_facility TEXT");
+  if (!cols.includes('expedite'))              db.exec("ALTER TABLE jobs ADD COLUMN expedite INTEGER NOT NULL DEFAULT 0");
+  if (!cols.includes('dry_run'))               db.exec("ALTER TABLE jobs ADD COLUMN dry_run INTEGER NOT NULL DEFAULT 0");
+  if (!cols.includes('last_dry_run'))          db.exec("ALTER TABLE jobs ADD COLUMN last_dry_run TEXT");
+  if (!cols.includes('pending_offers'))        db.exec("ALTER TABLE jobs ADD COLUMN pending_offers TEXT");
+
+  const tokenCols = db.prepare("PRAGMA table_info(api_tokens)").all().map(c => c.name);
+  if (!tokenCols.includes('user_id')) db.exec("ALTER TABLE api_tokens ADD COLUMN user_id TEXT");
+
+  // 'consulate' or 'asc' (biometrics) facility
+  const locationCols = db.prepare("PRAGMA table_info(locations_cache)").all().map(c => c.name);
+  if (!locationCols.includes('kind')) db.exec("ALTER TABLE locations_cache ADD COLUMN kind TEXT NOT NULL DEFAULT 'consulate'");
+
+  const userCols = db.prepare("PRAGMA table_info(users)").all().map(c => c.name);
+  if (!userCols.includes('totp_secret'))         db.exec("ALTER TABLE users ADD COLUMN totp_secret TEXT");
+  if (!userCols.includes('totp_pending_secret')) db.exec("ALTER TABLE users ADD COLUMN totp_pending_secret TEXT");
+  if (!userCols.includes('totp_last_step'))      db.exec("ALTER TABLE users ADD COLUMN totp_last_step INTEGER");
+
+  // Encrypt any credentials still stored as plaintext
+  if (vault.isEnabled()) {
+    const migrated = reencryptCredentials({ plaintextOnly: true });
+    if (migrated > 0) console.log('[DB] Encrypted stored password for ' + migrated + ' job(s).');
+  } else {
+    console.warn('[DB] WARNING: CREDENTIALS_MASTER_KEY is not set. Account passwords are stored unencrypted!');
+  }
 
   return db;
 }
 
 // ── Job CRUD ──
 
+// start_date/end_date always span the whole list of date ranges
+function dateRangeBounds(ranges) {
+  return {
+    startDate: ranges[0].start,
+    endDate: ranges.reduce((end, r) => r.end > end ? r.end : end, ranges[0].end)
+  };
+}
+
 function createJob(data) {
   const id = uuidv4().substring(0, 8);
+  const ranges = data.dateRanges || [{ start: data.startDate, end: data.endDate }];
+  const bounds = dateRangeBounds(ranges);
   const stmt = db.prepare(`
     INSERT INTO jobs (id, name, email, password, schedule_id, country, facility_ids,
       start_date, end_date, check_interval_seconds, interval_schedule, auto_book,
-      max_relogin_attempts, request_timeout_ms, max_retries)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      max_relogin_attempts, request_timeout_ms, max_retries, owner_id, notifications,
+      reschedule_mode, min_improvement_days, date_rules, time_preferences, date_ranges, active_hours,
+      cron_expression, cron_timezone, stop_policy, asc_facility_id, expedite, dry_run)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   stmt.run(
     id,
     data.name || 'Job ' + id,
     data.email,
-    data.password,
+    vault.encrypt(data.password),
     data.scheduleId,
     data.country || 'en-ca',
     JSON.stringify(data.facilityIds || []),
-    data.startDate,
-    data.endDate,
+    bounds.startDate,
+    bounds.endDate,
     data.checkIntervalSeconds || 30,
     JSON.stringify(data.intervalSchedule || []),
     data.autoBook !== false ? 1 : 0,
     data.maxReloginAttempts || 5,
     data.requestTimeoutMs || 20000,
-    data.maxRetries || 3
+    data.maxRetries || 3,
+    data.ownerId || null,
+    data.notifications ? JSON.stringify(data.notifications) : null,
+    data.rescheduleMode ? 1 : 0,
+    data.minImprovementDays || 1,
+    data.dateRules ? JSON.stringify(data.dateRules) : null,
+    data.timePreferences ? JSON.stringify(data.timePreferences) : null,
+    JSON.stringify(ranges),
+    data.activeHours ? JSON.stringify(data.activeHours) : null,
+    data.cronExpression || null,
+    data.cronTimezone || null,
+    data.stopPolicy ? JSON.stringify(data.stopPolicy) : null,
+    data.ascFacilityId || null,
+    data.expedite ? 1 : 0,
+    data.dryRun ? 1 : 0
   );
-  return getJob(id);
+  const job = getJob(id);
+  events.emit('job', job);
+  return job;
 }
 
 function getJob(id) {
@@ -133,21 +299,38 @@ function getAllJobs() {
 function updateJob(id, data) {
   const fields = [];
   const values = [];
+  if (data.dateRanges) data = { ...data, ...dateRangeBounds(data.dateRanges) };
 
   const allowedFields = {
     name: 'name', email: 'email', password: 'password',
     scheduleId: 'schedule_id', country: 'country',
-    startDate: 'start_date', endDate: 'end_date',
+    startDate: 'start_date', endDate: 'end_date', dateRanges: 'date_ranges',
     checkIntervalSeconds: 'check_interval_seconds',
     intervalSchedule: 'interval_schedule',
+    cronExpression: 'cron_expression', cronTimezone: 'cron_timezone',
     autoBook: 'auto_book',
     maxReloginAttempts: 'max_relogin_attempts',
     requestTimeoutMs: 'request_timeout_ms',
     maxRetries: 'max_retries',
     facilityIds: 'facility_ids',
+    ownerId: 'owner_id',
+    notifications: 'notifications',
+    dateRules: 'date_rules',
+    timePreferences: 'time_preferences',
+    activeHours: 'active_hours', activeUntil: 'active_until', nextWakeAt: 'next_wake_at',
+    stopPolicy: 'stop_policy', stopReason: 'stop_reason',
+    ascFacilityId: 'asc_facility_id',
+    rescheduleMode: 'reschedule_mode',
+    expedite: 'expedite', dryRun: 'dry_run', lastDryRun: 'last_dry_run', pendingOffers: 'pending_offers',
+    minImprovementDays: 'min_improvement_days',
+    currentAppointmentDate: 'current_appointment_date',
+    currentAppointmentTime: 'current_appointment_time',
+    currentAppointmentLocation: 'current_appointment_location',
+    applicants: 'applicants', visaClass: 'visa_class', accountCheckedAt: 'account_checked_at',
     status: 'status',
     bookedDate: 'booked_date', bookedTime: 'booked_time',
     bookedFacility: 'booked_facility', bookedAt: 'booked_at',
+    bookedAscDate: 'booked_asc_date', bookedAscTime: 'booked_asc_time', bookedAscFacility: 'booked_asc_facility',
     totalChecks: 'total_checks', successfulChecks: 'successful_checks',
     failedChecks: 'failed_checks', consecutiveFailures: 'consecutive_failures',
     reloginCount: 'relogin_count', lastError: 'last_error',
@@ -159,8 +342,10 @@ function updateJob(id, data) {
     if (data[key] !== undefined) {
       fields.push(col + ' = ?');
       let val = data[key];
-      if (key === 'facilityIds' || key === 'intervalSchedule') val = JSON.stringify(val);
-      if (key === 'autoBook') val = val ? 1 : 0;
+      if (key === 'facilityIds' || key === 'dateRanges' || key === 'intervalSchedule' || key === 'notifications' || key === 'applicants' || key === 'pendingOffers') val = JSON.stringify(val);
+      if (key === 'dateRules' || key === 'timePreferences' || key === 'activeHours' || key === 'stopPolicy' || key === 'lastDryRun') val = val ? JSON.stringify(val) : null;
+      if (key === 'autoBook' || key === 'rescheduleMode' || key === 'expedite' || key === 'dryRun') val = val ? 1 : 0;
+      if (key === 'password') val = vault.encrypt(val);
       values.push(val);
     }
   }
@@ -171,11 +356,111 @@ function updateJob(id, data) {
   values.push(id);
 
   db.prepare('UPDATE jobs SET ' + fields.join(', ') + ' WHERE id = ?').run(...values);
-  return getJob(id);
+  const job = getJob(id);
+  if (job) events.emit('job', job);
+  return job;
+}
+
+// ── Credentials (decrypted — only for code that logs in to AIS) ──
+function getJobCredentials(id) {
+  const row = db.prepare('SELECT email, password FROM jobs WHERE id = ?').get(id);
+  if (!row) return null;
+  return { email: row.email, password: vault.decrypt(row.password) };
+}
+
+// ── Re-encrypt stored passwords, callback secrets and TOTP secrets with the current master key ──
+// Used for the plaintext → encrypted migration and for key rotation.
+function reencryptCredentials({ plaintextOnly = false } = {}) {
+  const rows = db.prepare('SELECT id, password, callback_secret FROM jobs').all();
+  const updPassword = db.prepare('UPDATE jobs SET password = ? WHERE id = ?');
+  const updSecret = db.prepare('UPDATE jobs SET callback_secret = ? WHERE id = ?');
+  const userRows = db.prepare('SELECT id, totp_secret, totp_pending_secret FROM users').all();
+  let count = 0;
+  const tx = db.transaction(() => {
+    for (const row of rows) {
+      if (!(plaintextOnly && vault.isEncrypted(row.password)) && vault.needsReencrypt(row.password)) {
+        updPassword.run(vault.encrypt(vault.decrypt(row.password)), row.id);
+        count++;
+      }
+      if (!(plaintextOnly && vault.isEncrypted(row.callback_secret)) && vault.needsReencrypt(row.callback_secret)) {
+        updSecret.run(vault.encrypt(vault.decrypt(row.callback_secret)), row.id);
+      }
+    }
+    for (const hook of db.prepare('SELECT id, secret FROM webhooks').all()) {
+      if (!(plaintextOnly && vault.isEncrypted(hook.secret)) && vault.needsReencrypt(hook.secret)) {
+        db.prepare('UPDATE webhooks SET secret = ? WHERE id = ?').run(vault.encrypt(vault.decrypt(hook.secret)), hook.id);
+      }
+    }
+    for (const user of userRows) {
+      for (const col of ['totp_secret', 'totp_pending_secret']) {
+        if (!(plaintextOnly && vault.isEncrypted(user[col])) && vault.needsReencrypt(user[col])) {
+          db.prepare('UPDATE users SET ' + col + ' = ? WHERE id = ?').run(vault.encrypt(vault.decrypt(user[col])), user.id);
+        }
+      }
+    }
+  });
+  tx();
+  return count;
+}
+
+// ── Droplet callback credential (one per droplet, encrypted like passwords) ──
+function setCallbackSecret(jobId, secret) {
+  db.prepare('UPDATE jobs SET callback_secret = ? WHERE id = ?').run(secret ? vault.encrypt(secret) : null, jobId);
+}
+
+function getCallbackSecret(jobId) {
+  const row = db.prepare('SELECT callback_secret FROM jobs WHERE id = ?').get(jobId);
+  return row && row.callback_secret ? vault.decrypt(row.callback_secret) : null;
+}
+
+// ── Droplet bootstrap token ──
+// The only credential placed in a droplet's user_data. It is exchanged once
+// (see /api/callback/bootstrap) for the job config and the callback secret.
+function issueBootstrapToken(jobId, ttlMinutes) {
+  const token = 'vbt_' + crypto.randomBytes(32).toString('base64url');
+  db.prepare(`
+    UPDATE jobs SET bootstrap_token_hash = ?, bootstrap_expires_at = datetime('now', '+' || ? || ' minutes'),
+      bootstrap_used_hash = NULL
+    WHERE id = ?
+  `).run(hashToken(token), ttlMinutes, jobId);
+  return token;
+}
+
+// Returns 'ok', 'expired', 'used' (this droplet's token, already redeemed) or
+// 'invalid'. The token is consumed either way once it matches.
+function redeemBootstrapToken(jobId, token) {
+  if (!token) return 'invalid';
+  const row = db.prepare(`
+    SELECT bootstrap_expires_at > datetime('now') AS fresh FROM jobs
+    WHERE id = ? AND bootstrap_token_hash = ?
+  `).get(jobId, hashToken(token));
+  if (!row) {
+    const used = db.prepare('SELECT 1 FROM jobs WHERE id = ? AND bootstrap_used_hash = ?').get(jobId, hashToken(token));
+    return used ? 'used' : 'invalid';
+  }
+  const res = db.prepare(`
+    UPDATE jobs SET bootstrap_token_hash = NULL, bootstrap_expires_at = NULL, bootstrap_used_hash = bootstrap_token_hash
+    WHERE id = ? AND bootstrap_token_hash = ?
+  `).run(jobId, hashToken(token));
+  if (res.changes !== 1) return 'invalid'; // lost a race with a concurrent redeem
+  return row.fresh ? 'ok' : 'expired';
+}
+
+function clearBootstrapToken(jobId) {
+  db.prepare('UPDATE jobs SET bootstrap_token_hash = NULL, bootstrap_expires_at = NULL, bootstrap_used_hash = NULL WHERE id = ?').run(jobId);
+}
+
+// Records a callback nonce; returns false if it was already used (replay)
+function useCallbackNonce(jobId, nonce) {
+  db.prepare("DELETE FROM callback_nonces WHERE created_at < datetime('now', '-15 minutes')").run();
+  const res = db.prepare('INSERT OR IGNORE INTO callback_nonces (nonce, job_id) VALUES (?, ?)').run(nonce, jobId);
+  return res.changes === 1;
 }
 
 function deleteJob(id) {
+  const job = getJob(id);
   db.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+  if (job) events.emit('job_deleted', job);
 }
 
 function formatJob(row) {
@@ -183,15 +468,39 @@ function formatJob(row) {
     id: row.id,
     name: row.name,
     email: row.email,
-    password: row.password,
+    hasPassword: !!row.password,
     scheduleId: row.schedule_id,
     country: row.country,
-    facilityIds: JSON.parse(row.facility_ids || '[]'),
+    facilityIds: JSON.parse(row.facility_ids || '[]').map(facilityEntry),
     startDate: row.start_date,
     endDate: row.end_date,
+    dateRanges: row.date_ranges ? JSON.parse(row.date_ranges) : [{ start: row.start_date, end: row.end_date }],
     checkIntervalSeconds: row.check_interval_seconds,
     intervalSchedule: JSON.parse(row.interval_schedule || '[]'),
+    cronExpression: row.cron_expression,
+    cronTimezone: row.cron_timezone,
     autoBook: !!row.auto_book,
+    notifications: row.notifications ? JSON.parse(row.notifications) : null,
+    dateRules: row.date_rules ? JSON.parse(row.date_rules) : null,
+    timePreferences: row.time_preferences ? JSON.parse(row.time_preferences) : null,
+    activeHours: row.active_hours ? JSON.parse(row.active_hours) : null,
+    activeUntil: row.active_until,
+    nextWakeAt: row.next_wake_at,
+    stopPolicy: row.stop_policy ? JSON.parse(row.stop_policy) : null,
+    stopReason: row.stop_reason,
+    ascFacilityId: row.asc_facility_id,
+    rescheduleMode: !!row.reschedule_mode,
+    expedite: !!row.expedite,
+    dryRun: !!row.dry_run,
+    lastDryRun: row.last_dry_run ? JSON.parse(row.last_dry_run) : null,
+    pendingOffers: row.pending_offers ? JSON.parse(row.pending_offers) : [],
+    minImprovementDays: row.min_improvement_days,
+    currentAppointmentDate: row.current_appointment_date,
+    currentAppointmentTime: row.current_appointment_time,
+    currentAppointmentLocation: row.current_appointment_location,
+    applicants: row.applicants ? JSON.parse(row.applicants) : [],
+    visaClass: row.visa_class,
+    accountCheckedAt: row.account_checked_at,
     maxReloginAttempts: row.max_relogin_attempts,
     requestTimeoutMs: row.request_timeout_ms,
     maxRetries: row.max_retries,
@@ -199,6 +508,9 @@ function formatJob(row) {
     bookedDate: row.booked_date,
     bookedTime: row.booked_time,
     bookedFacility: row.booked_facility,
+    bookedAscDate: row.booked_asc_date,
+    bookedAscTime: row.booked_asc_time,
+    bookedAscFacility: row.booked_asc_facility,
     bookedAt: row.booked_at,
     totalChecks: row.total_checks,
     successfulChecks: row.successful_checks,
@@ -211,6 +523,7 @@ function formatJob(row) {
     dropletId: row.droplet_id,
     dropletIp: row.droplet_ip,
     dropletStatus: row.droplet_status,
+    ownerId: row.owner_id,
     createdAt: row.created_at,
     updatedAt: row.updated_at
   };
@@ -218,8 +531,22 @@ function formatJob(row) {
 
 // ── Logs ──
 
+// Log text is redacted on the way in and again on the way out
+// (rows written before redaction existed may still hold secrets).
+function logSecrets(jobId) {
+  const row = db.prepare('SELECT password FROM jobs WHERE id = ?').get(jobId);
+  if (!row || !row.password) return [];
+  try {
+    return [vault.decrypt(row.password)];
+  } catch (e) {
+    return [];
+  }
+}
+
 function addLog(jobId, level, message) {
-  db.prepare('INSERT INTO job_logs (job_id, level, message) VALUES (?, ?, ?)').run(jobId, level, message);
+  const row = db.prepare('INSERT INTO job_logs (job_id, level, message) VALUES (?, ?, ?) RETURNING *')
+    .get(jobId, level, redact(message, logSecrets(jobId)));
+  events.emit('log', row);
 }
 
 function getLogs(jobId, opts = {}) {
@@ -239,48 +566,491 @@ function getLogs(jobId, opts = {}) {
   sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
   params.push(limit, offset);
 
-  return db.prepare(sql).all(params).reverse();
+  const secrets = logSecrets(jobId);
+  return db.prepare(sql).all(params).reverse().map(row => ({ ...row, message: redact(row.message, secrets) }));
+}
+
+// Logs of every job written after a given row id (oldest first) — for stream resume
+function getLogsAfter(afterId, limit = 1000) {
+  const secretsByJob = new Map();
+  return db.prepare('SELECT * FROM job_logs WHERE id > ? ORDER BY id ASC LIMIT ?').all(afterId, limit).map(row => {
+    if (!secretsByJob.has(row.job_id)) secretsByJob.set(row.job_id, logSecrets(row.job_id));
+    return { ...row, message: redact(row.message, secretsByJob.get(row.job_id)) };
+  });
+}
+
+// Highest log id ever issued (AUTOINCREMENT never reuses ids, even after deletes)
+function getLastLogId() {
+  const row = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'job_logs'").get();
+  return row ? row.seq : 0;
 }
 
 function clearLogs(jobId) {
   db.prepare('DELETE FROM job_logs WHERE job_id = ?').run(jobId);
+  events.emit('logs_cleared', jobId);
 }
 
 // ── Locations Cache ──
 
-function cacheLocations(jobId, locations) {
-  const del = db.prepare('DELETE FROM locations_cache WHERE job_id = ?');
-  const ins = db.prepare('INSERT INTO locations_cache (job_id, facility_id, name) VALUES (?, ?, ?)');
-  const tx = db.transaction((locs) => {
-    del.run(jobId);
-    for (const loc of locs) {
-      ins.run(jobId, loc.id, loc.name);
+// ascLocations replaces the cached ASC facilities only when given
+function cacheLocations(jobId, locations, ascLocations) {
+  const del = db.prepare('DELETE FROM locations_cache WHERE job_id = ? AND kind = ?');
+  const ins = db.prepare('INSERT OR IGNORE INTO locations_cache (job_id, facility_id, name, kind) VALUES (?, ?, ?, ?)');
+  const tx = db.transaction(() => {
+    del.run(jobId, 'consulate');
+    for (const loc of locations) {
+      ins.run(jobId, loc.id, loc.name, 'consulate');
+    }
+    if (!Array.isArray(ascLocations)) return;
+    del.run(jobId, 'asc');
+    for (const loc of ascLocations) {
+      ins.run(jobId, loc.id, loc.name, 'asc');
     }
   });
-  tx(locations);
+  tx();
+}
+
+function getCachedLocations(jobId, kind = 'consulate') {
+  return db.prepare('SELECT facility_id as id, name FROM locations_cache WHERE job_id = ? AND kind = ?').all(jobId, kind);
+}
+
+// ── API Tokens ──
+// Only a SHA-256 hash is stored; the plaintext token is returned once on creation.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createApiToken(name, userId) {
+  const id = uuidv4().substring(0, 8);
+  const token = 'vsk_' + crypto.randomBytes(24).toString('base64url');
+  db.prepare('INSERT INTO api_tokens (id, name, token_hash, token_prefix, user_id) VALUES (?, ?, ?, ?, ?)')
+    .run(id, name || 'Token ' + id, hashToken(token), token.slice(0, 8), userId || null);
+  return { ...getApiToken(id), token };
+}
+
+function getApiToken(id) {
+  const row = db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id);
+  return row ? formatApiToken(row) : null;
+}
+
+// Pass a userId to list only that user's tokens
+function listApiTokens(userId) {
+  if (userId) {
+    return db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC').all(userId).map(formatApiToken);
+  }
+  return db.prepare('SELECT * FROM api_tokens ORDER BY created_at DESC').all().map(formatApiToken);
+}
+
+// Returns the token record if valid (not revoked), and marks it as used
+function verifyApiToken(token) {
+  if (!token) return null;
+  const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(hashToken(token));
+  if (!row) return null;
+  db.prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?").run(row.id);
+  return formatApiToken(row);
+}
+
+// Tokens created before user accounts existed are handed to the first admin
+function assignUnownedApiTokens(userId) {
+  db.prepare('UPDATE api_tokens SET user_id = ? WHERE user_id IS NULL').run(userId);
+}
+
+function revokeApiToken(id) {
+  const res = db.prepare("UPDATE api_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL").run(id);
+  return res.changes > 0;
+}
+
+function formatApiToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    userId: row.user_id,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// ── Audit Log ──
+// Not tied to jobs by foreign key — entries must outlive deleted jobs and users.
+
+// Accepts ISO strings ("2024-05-01T10:00:00.000Z") and SQLite datetimes alike
+function toSqlDatetime(value) {
+  return String(value).replace('T', ' ').replace(/(\.\d+)?Z$/, '');
+}
+
+function addAudit({ userId, username, ip, action, jobId, target, changes }) {
+  db.prepare(`
+    INSERT INTO audit_log (user_id, username, ip, action, job_id, target, changes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId || null, username || null, ip || null, action,
+    jobId || null, target || null,
+    changes && Object.keys(changes).length ? JSON.stringify(changes) : null
+  );
+}
+
+function getAuditLog(opts = {}) {
+  const { limit = 200, offset = 0, jobId, username, action, since, until } = opts;
+  let sql = 'SELECT * FROM audit_log WHERE 1 = 1';
+  const params = [];
+
+  if (jobId)    { sql += ' AND job_id = ?'; params.push(jobId); }
+  if (username) { sql += ' AND username = ? COLLATE NOCASE'; params.push(username); }
+  if (action)   { sql += ' AND action LIKE ?'; params.push(action.replace(/\*$/, '%')); }
+  if (since)    { sql += ' AND created_at >= ?'; params.push(toSqlDatetime(since)); }
+  if (until)    { sql += ' AND created_at <= ?'; params.push(toSqlDatetime(until)); }
+
+  sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  return db.prepare(sql).all(params).map(row => ({
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    ip: row.ip,
+    action: row.action,
+    jobId: row.job_id,
+    target: row.target,
+    changes: row.changes ? JSON.parse(row.changes) : null,
+    createdAt: row.created_at
+  }));
+}
+
+// ── Webhooks ──
+// Signing secrets are encrypted like account passwords.
+
+function createWebhook({ url, events, description, createdBy }) {
+  const id = uuidv4().substring(0, 8);
+  const secret = 'whsec_' + crypto.randomBytes(24).toString('base64url');
+  db.prepare('INSERT INTO webhooks (id, url, events, secret, description, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, url, JSON.stringify(events || []), vault.encrypt(secret), description || null, createdBy || null);
+  return { ...getWebhook(id), secret };
+}
+
+function getWebhook(id) {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+  return row ? formatWebhook(row) : null;
+}
+
+function getAllWebhooks() {
+  return db.prepare('SELECT * FROM webhooks ORDER BY created_at ASC').all().map(formatWebhook);
+}
+
+// Active webhooks subscribed to an event
+function getWebhooksForEvent(event) {
+  return getAllWebhooks().filter(w => w.active && w.events.includes(event));
+}
+
+function getWebhookSecret(id) {
+  const row = db.prepare('SELECT secret FROM webhooks WHERE id = ?').get(id);
+  return row ? vault.decrypt(row.secret) : null;
+}
+
+function updateWebhook(id, data) {
+  const fields = [];
+  const values = [];
+  if (data.url !== undefined) { fields.push('url = ?'); values.push(data.url); }
+  if (data.events !== undefined) { fields.push('events = ?'); values.push(JSON.stringify(data.events)); }
+  if (data.description !== undefined) { fields.push('description = ?'); values.push(data.description || null); }
+  if (data.active !== undefined) { fields.push('active = ?'); values.push(data.active ? 1 : 0); }
+  if (fields.length === 0) return getWebhook(id);
+
+  fields.push("updated_at = datetime('now')");
+  values.push(id);
+  db.prepare('UPDATE webhooks SET ' + fields.join(', ') + ' WHERE id = ?').run(...values);
+  return getWebhook(id);
+}
+
+function deleteWebhook(id) {
+  db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+  db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+}
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events || '[]'),
+    description: row.description,
+    active: !!row.active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function addWebhookDelivery({ webhookId, eventId, event, jobId, payload }) {
+  const res = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event, job_id, payload, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+  `).run(webhookId, eventId, event, jobId || null, payload);
+  return res.lastInsertRowid;
+}
+
+function getWebhookDelivery(id) {
+  const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  return row ? formatWebhookDelivery(row) : null;
+}
+
+function getWebhookDeliveries(webhookId, { limit = 50, offset = 0 } = {}) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ? OFFSET ?')
+    .all(webhookId, limit, offset).map(formatWebhookDelivery);
+}
+
+function getDueWebhookDeliveries(limit = 20) {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+    ORDER BY id ASC LIMIT ?
+  `).all(limit).map(formatWebhookDelivery);
+}
+
+// Record one attempt. retryInSeconds: schedule another attempt; null = final
+function recordWebhookAttempt(id, { ok, statusCode, error, retryInSeconds }) {
+  const status = ok ? 'succeeded' : (retryInSeconds ? 'pending' : 'failed');
+  db.prepare(`
+    UPDATE webhook_deliveries SET
+      status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?,
+      next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+      delivered_at = CASE WHEN ? THEN datetime('now') ELSE delivered_at END
+    WHERE id = ?
+  `).run(status, statusCode || null, error || null, retryInSeconds || null, retryInSeconds || 0, ok ? 1 : 0, id);
+}
+
+// Queue an existing delivery again (same event id, so receivers can dedupe)
+function requeueWebhookDelivery(id) {
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), last_status_code = NULL, last_error = NULL
+    WHERE id = ?
+  `).run(id);
+  return getWebhookDelivery(id);
+}
+
+function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    event: row.event,
+    jobId: row.job_id,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+// ── Users ──
+// Passwords are hashed with scrypt: "scrypt$<salt>$<hash>" (hex)
+
+const USER_ROLES = ['admin', 'operator', 'viewer'];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return 'scrypt$' + salt.toString('hex') + '$' + hash.toString('hex');
+}
+
+function checkPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against for unknown usernames so they take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function createUser({ username, password, role }) {
+  if (!USER_ROLES.includes(role)) throw new Error('Invalid role: ' + role);
+  const id = uuidv4().substring(0, 8);
+  db.prepare('INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)')
+    .run(id, username, hashPassword(password), role);
+  return getUser(id);
+}
+
+function getUser(id) {
+  const row = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+  return row ? formatUser(row) : null;
+}
+
+function getAllUsers() {
+  return db.prepare('SELECT * FROM users ORDER BY created_at ASC').all().map(formatUser);
+}
+
+function countUsers() {
+  return db.prepare('SELECT COUNT(*) AS n FROM users').get().n;
+}
+
+function countAdmins() {
+  return db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin'").get().n;
+}
+
+// Returns the user on a correct username/password, otherwise null
+function verifyUserPassword(username, password) {
+  const row = db.prepare('SELECT * FROM users WHERE username = ?').get(username || '');
+  if (!row) {
+    checkPassword(password, DUMMY_PASSWORD_HASH);
+    return null;
+  }
+  if (!checkPassword(password, row.password_hash)) return null;
+  return formatUser(row);
+}
+
+function updateUser(id, data) {
+  const fields = [];
+  const values = [];
+  if (data.username !== undefined) { fields.push('username = ?'); values.push(data.username); }
+  if (data.role !== undefined) {
+    if (!USER_ROLES.includes(data.role)) throw new Error('Invalid role: ' + data.role);
+    fields.push('role = ?'); values.push(data.role);
+  }
+  if (data.password !== undefined) { fields.push('password_hash = ?'); values.push(hashPassword(data.password)); }
+  if (fields.length === 0) return getUser(id);
+
+  fields.push("updated_at = datetime('now')");
+  values.push(id);
+  db.prepare('UPDATE users SET ' + fields.join(', ') + ' WHERE id = ?').run(...values);
+  return getUser(id);
+}
+
+// ── TOTP second factor ──
+// Enrollment stores a pending secret; it only becomes active once the
+// user proves their authenticator app produces matching codes.
+
+function getTotpState(id) {
+  const row = db.prepare('SELECT totp_secret, totp_pending_secret, totp_last_step FROM users WHERE id = ?').get(id);
+  if (!row) return null;
+  return {
+    secret: row.totp_secret ? vault.decrypt(row.totp_secret) : null,
+    pendingSecret: row.totp_pending_secret ? vault.decrypt(row.totp_pending_secret) : null,
+    lastStep: row.totp_last_step
+  };
+}
+
+function setPendingTotpSecret(id, secret) {
+  db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?').run(secret ? vault.encrypt(secret) : null, id);
+}
+
+function activateTotp(id, lastStep) {
+  db.prepare(`
+    UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+      totp_last_step = ?, updated_at = datetime('now')
+    WHERE id = ? AND totp_pending_secret IS NOT NULL
+  `).run(lastStep, id);
+}
+
+function disableTotp(id) {
+  db.prepare(`
+    UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL,
+      totp_last_step = NULL, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(id);
+}
+
+// Records the time step of an accepted code; returns false if it (or a later one) was already used
+function useTotpStep(id, step) {
+  const res = db.prepare(`
+    UPDATE users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `).run(step, id, step);
+  return res.changes === 1;
+}
+
+// Deleting a user revokes their API tokens; their jobs become admin-only (owner cleared)
+function deleteUser(id) {
+  const tx = db.transaction(() => {
+    db.prepare("UPDATE api_tokens SET revoked_at = datetime('now') WHERE user_id = ? AND revoked_at IS NULL").run(id);
+    db.prepare('UPDATE jobs SET owner_id = NULL WHERE owner_id = ?').run(id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(id);
+  });
+  tx();
 }
 
-function getCachedLocations(jobId) {
-  return db.prepare('SELECT facility_id as id, name FROM locations_cache WHERE job_id = ?').all(jobId);
+function formatUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    totpEnabled: !!row.totp_secret,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
 }
 
 // ── Cleanup old logs ──
 
 function cleanupOldLogs(daysToKeep = 7) {
   db.prepare("DELETE FROM job_logs WHERE created_at < datetime('now', '-' || ? || ' days')").run(daysToKeep);
+  // Finished webhook deliveries are kept longer for redelivery / debugging
+  db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', '-30 days')").run();
 }
 
 module.exports = {
+  events,
   initDatabase,
   createJob,
   getJob,
   getAllJobs,
   updateJob,
   deleteJob,
+  getJobCredentials,
+  reencryptCredentials,
+  setCallbackSecret,
+  getCallbackSecret,
+  issueBootstrapToken,
+  redeemBootstrapToken,
+  clearBootstrapToken,
+  useCallbackNonce,
   addLog,
   getLogs,
+  getLogsAfter,
+  getLastLogId,
   clearLogs,
   cacheLocations,
   getCachedLocations,
+  createApiToken,
+  listApiTokens,
+  verifyApiToken,
+  getApiToken,
+  assignUnownedApiTokens,
+  revokeApiToken,
+  addAudit,
+  getAuditLog,
+  createWebhook,
+  getWebhook,
+  getAllWebhooks,
+  getWebhooksForEvent,
+  getWebhookSecret,
+  updateWebhook,
+  deleteWebhook,
+  addWebhookDelivery,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  requeueWebhookDelivery,
+  USER_ROLES,
+  createUser,
+  getUser,
+  getAllUsers,
+  countUsers,
+  countAdmins,
+  verifyUserPassword,
+  updateUser,
+  getTotpState,
+  setPendingTotpSecret,
+  activateTotp,
+  disableTotp,
+  useTotpStep,
+  deleteUser,
   cleanupOldLogs
 };
@@ -1,14 +1,13 @@
 // ============================================================
 // DROPLET MANAGER - DigitalOcean API wrapper
 // Creates/destroys a droplet per job.
-// Requires env: DO_API_TOKEN, CALLBACK_SECRET, MAIN_VPS_URL
+// Requires env: DO_API_TOKEN, MAIN_VPS_URL
 // ============================================================
 
 const https = require('https');
 
 const DO_API_TOKEN = process.env.DO_API_TOKEN;
-const CALLBACK_SECRET = process.env.CALLBACK_SECRET || 'changeme';
-const MAIN_VPS_URL = process.env.MAIN_VPS_URL; // e.g. http://1.2.3.4:3456
+const MAIN_VPS_URL = process.env.MAIN_VPS_URL; // e.g. https://scheduler.example.com
 
 // Droplet config - cheapest droplet, closest region to visa servers
 const DROPLET_SIZE   = process.env.DO_DROPLET_SIZE   || 's-1vcpu-1gb'; // $4/mo
@@ -57,9 +56,10 @@ function doRequest(method, path, body) {
 // ── Build cloud-init user_data script ──
 // ...existing code...
 
-function buildUserData(jobId, jobConfig) {
-  const configB64 = Buffer.from(JSON.stringify(jobConfig)).toString('base64');
-
+// user_data stays readable on the droplet's disk and in the metadata
+// service, so it only carries a short-lived one-time bootstrap token —
+// never the job config, account credentials or the callback secret.
+function buildUserData(jobId, bootstrapToken) {
   return `#!/bin/bash
 set -e
 export DEBIAN_FRONTEND=noninteractive
@@ -122,10 +122,10 @@ npm install --quiet
 # ── Write env file ──
 cat > /root/app/agent/.env << 'ENVEOF'
 JOB_ID=${jobId}
-JOB_CONFIG_B64=${configB64}
 MAIN_VPS_URL=${MAIN_VPS_URL}
-CALLBACK_SECRET=${CALLBACK_SECRET}
+BOOTSTRAP_TOKEN=${bootstrapToken}
 ENVEOF
+chmod 600 /root/app/agent/.env
 
 # ── Start agent with PM2 ──
 pm2 start /root/app/agent/agent.js --name visa-agent-${jobId} --no-autorestart
@@ -136,11 +136,13 @@ pm2 save
 // ...existing code...
 
 // ── Create a droplet for a job ──
-async function createDroplet(jobId, jobConfig) {
+// bootstrapToken is exchanged by the agent for its config (see agent/agent.js)
+async function createDroplet(jobId, bootstrapToken) {
   if (!DO_API_TOKEN) throw new Error('DO_API_TOKEN is not set.');
   if (!MAIN_VPS_URL) throw new Error('MAIN_VPS_URL is not set.');
+  if (!bootstrapToken) throw new Error('No bootstrap token issued for job ' + jobId + '.');
 
-  const userData = buildUserData(jobId, jobConfig);
+  const userData = buildUserData(jobId, bootstrapToken);
 
   const body = {
     name: 'visa-job-' + jobId,
@@ -208,5 +210,7 @@ module.exports = {
   waitForActive,
   destroyDroplet,
   listJobDroplets,
-  isEnabled: () => !!DO_API_TOKEN
+  isEnabled: () => !!DO_API_TOKEN,
+  // The agent fetches the job config (with the AIS password) from MAIN_VPS_URL
+  usesPlainHttp: () => /^http:\/\//i.test(MAIN_VPS_URL || '')
 };
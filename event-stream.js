@@ -0,0 +1,159 @@
+// ============================================================
+// EVENT STREAM - Server-Sent Events for the dashboard
+// Pushes new job log rows and job status/health changes as
+// they are written to the database. Log events carry their row
+// id as the SSE id, so a reconnecting browser (Last-Event-ID)
+// is sent everything it missed.
+//
+// Events: ready, log, job, job_deleted, logs_cleared, resync
+// ============================================================
+
+const db = require('./database');
+
+const HEARTBEAT_MS = 25000;
+const JOB_THROTTLE_MS = 1000;   // health counters change every check — batch them
+const REPLAY_LIMIT = 1000;      // more missed logs than this → client reloads instead
+
+const clients = new Set();      // { res, canView(job), serializeJob(job) }
+const jobThrottle = new Map();  // jobId → { sentAt, status, timer, job }
+let heartbeatTimer = null;
+let subscribed = false;
+
+function write(client, event, data, id) {
+  let frame = '';
+  if (id !== undefined) frame += 'id: ' + id + '\n';
+  frame += 'event: ' + event + '\n';
+  frame += 'data: ' + JSON.stringify(data) + '\n\n';
+  client.res.write(frame);
+}
+
+// Send to every client allowed to see the job; a failing client is dropped
+function broadcast(job, event, dataFor, id) {
+  for (const client of clients) {
+    try {
+      if (!client.canView(job)) continue;
+      write(client, event, dataFor(client), id);
+    } catch (err) {
+      clients.delete(client);
+      try { client.res.end(); } catch (e) { /* already closed */ }
+    }
+  }
+}
+
+function sendJob(job) {
+  broadcast(job, 'job', client => client.serializeJob(job));
+}
+
+// ── Status changes go out at once; other updates at most once per JOB_THROTTLE_MS ──
+function onJob(job) {
+  if (clients.size === 0) return;
+  const now = Date.now();
+  const state = jobThrottle.get(job.id) || { sentAt: 0, status: null, timer: null, job: null };
+  jobThrottle.set(job.id, state);
+
+  if (job.status !== state.status || now - state.sentAt >= JOB_THROTTLE_MS) {
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    state.sentAt = now;
+    state.status = job.status;
+    sendJob(job);
+    return;
+  }
+
+  state.job = job; // latest wins
+  if (!state.timer) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      state.sentAt = Date.now();
+      sendJob(state.job);
+    }, JOB_THROTTLE_MS - (now - state.sentAt));
+  }
+}
+
+function onJobDeleted(job) {
+  const state = jobThrottle.get(job.id);
+  if (state && state.timer) clearTimeout(state.timer);
+  jobThrottle.delete(job.id);
+  broadcast(job, 'job_deleted', () => ({ id: job.id }));
+}
+
+function onLog(row) {
+  if (clients.size === 0) return;
+  const job = db.getJob(row.job_id);
+  if (job) broadcast(job, 'log', () => row, row.id);
+}
+
+function onLogsCleared(jobId) {
+  const job = db.getJob(jobId);
+  if (job) broadcast(job, 'logs_cleared', () => ({ jobId }));
+}
+
+function subscribe() {
+  if (subscribed) return;
+  subscribed = true;
+  const guard = (fn) => (...args) => {
+    try { fn(...args); } catch (err) { console.error('[Stream] ' + err.message); }
+  };
+  db.events.on('job', guard(onJob));
+  db.events.on('job_deleted', guard(onJobDeleted));
+  db.events.on('log', guard(onLog));
+  db.events.on('logs_cleared', guard(onLogsCleared));
+
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) {
+      try { client.res.write(': ping\n\n'); } catch (e) { clients.delete(client); }
+    }
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+// ── Open a stream on an Express response ──
+// canView(job) decides per event whether this client may see it;
+// serializeJob(job) shapes job payloads (e.g. strips credentials).
+function attach(req, res, { canView, serializeJob }) {
+  subscribe();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = { res, canView, serializeJob };
+
+  // Resume: replay logs written since the last id this browser saw
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+  if (lastEventId >= 0) {
+    const missed = db.getLogsAfter(lastEventId, REPLAY_LIMIT);
+    const jobs = new Map();
+    for (const row of missed) {
+      if (!jobs.has(row.job_id)) jobs.set(row.job_id, db.getJob(row.job_id));
+      const job = jobs.get(row.job_id);
+      if (job && canView(job)) write(client, 'log', row, row.id);
+    }
+    if (missed.length >= REPLAY_LIMIT) write(client, 'resync', {}, db.getLastLogId());
+  }
+
+  // Fresh connection: give the browser an id to resume from
+  write(client, 'ready', { lastLogId: db.getLastLogId() }, lastEventId >= 0 ? undefined : db.getLastLogId());
+
+  clients.add(client);
+  req.on('close', () => clients.delete(client));
+}
+
+// ── End every open stream (shutdown) ──
+function closeAll() {
+  for (const client of clients) {
+    try { client.res.end(); } catch (e) { /* already closed */ }
+  }
+  clients.clear();
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+module.exports = {
+  attach,
+  closeAll
+};
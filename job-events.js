@@ -0,0 +1,86 @@
+// ============================================================
+// JOB EVENTS - Default subscribers on the JobManager event bus
+// Scheduler events arrive as (jobId, payload) whether the job
+// runs in this process or on a droplet. Persistence, channel
+// notifications and webhooks all hang off the same events.
+// ============================================================
+
+const db = require('./database');
+const notifier = require('./notifier');
+const webhooks = require('./webhooks');
+
+// A failing subscriber must not stop the others (or the scheduler)
+function on(bus, event, handler) {
+  bus.on(event, (jobId, payload = {}) => {
+    try {
+      handler(jobId, payload);
+    } catch (err) {
+      console.error('[JobEvents] ' + event + ' handler failed for job ' + jobId + ':', err.message);
+    }
+  });
+}
+
+// Last matching dates per job and facility ("jobId:facilityId" → "d1,d2"),
+// so an unchanged set doesn't fire dates.found on every check
+const lastMatching = new Map();
+
+function forgetMatching(jobId) {
+  for (const key of lastMatching.keys()) {
+    if (key.startsWith(jobId + ':')) lastMatching.delete(key);
+  }
+}
+
+function jobError(jobId, error) {
+  notifier.notify(jobId, 'error', { error });
+  webhooks.emit('job.error', jobId, { error });
+}
+
+function subscribe(bus) {
+  // ── Persistence ──
+  on(bus, 'log', (jobId, { level, message }) => db.addLog(jobId, level, message));
+  on(bus, 'state', (jobId, fields) => db.updateJob(jobId, fields));
+  on(bus, 'locations', (jobId, { locations, ascLocations }) => db.cacheLocations(jobId, locations, ascLocations));
+
+  // ── Scheduler events → notifications + webhooks ──
+  on(bus, 'dates.seen', (jobId, { facilityId, facility, matching }) => {
+    const key = jobId + ':' + facilityId;
+    if (!matching || matching.length === 0) {
+      lastMatching.delete(key);
+      return;
+    }
+    const dates = [...matching].sort().join(',');
+    if (lastMatching.get(key) === dates) return;
+    lastMatching.set(key, dates);
+    webhooks.emit('dates.found', jobId, { facilityId, facility, dates: matching });
+  });
+
+  on(bus, 'booking.result', (jobId, { facilityId, facility, date, time, success, verified, reason, previousDate, asc }) => {
+    if (!success) return;
+    notifier.notify(jobId, 'booked', { date, time, facility: facility + ' (' + facilityId + ')', verified, previousDate, asc });
+    if (verified) webhooks.emit('booking.succeeded', jobId, { date, time, facilityId, facility, previousDate, asc });
+    else webhooks.emit('booking.unverified', jobId, { date, time, facilityId, facility, previousDate, asc, note: reason });
+  });
+
+  on(bus, 'block.detected', (jobId, { reason, cooldownMinutes, blockCount }) => {
+    notifier.notify(jobId, reason === 'ip' ? 'ip_blocked' : 'account_blocked', { cooldownMinutes, blockCount });
+    webhooks.emit('job.blocked', jobId, { reason, cooldownMinutes });
+  });
+
+  on(bus, 'expired', (jobId, { reason }) => {
+    notifier.notify(jobId, 'expired', { reason });
+    webhooks.emit('job.expired', jobId, { reason });
+  });
+
+  on(bus, 'fatal', (jobId, { error }) => jobError(jobId, error));
+
+  // ── JobManager lifecycle ──
+  on(bus, 'job.started', (jobId, data) => {
+    forgetMatching(jobId); // a new run reports its first dates again
+    webhooks.emit('job.started', jobId, data);
+  });
+  on(bus, 'job.stopped', (jobId, data) => webhooks.emit('job.stopped', jobId, data));
+  on(bus, 'job.error', (jobId, { error }) => jobError(jobId, error));
+  on(bus, 'droplet.destroyed', (jobId, data) => webhooks.emit('droplet.destroyed', jobId, data));
+}
+
+module.exports = { subscribe };
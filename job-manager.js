@@ -1,14 +1,40 @@
 // ============================================================
 // JOB MANAGER - Manages all scheduler instances
 // Supports local mode (default) and droplet mode (DO_API_TOKEN set)
+//
+// Event bus: re-emits every SchedulerInstance event as
+// (jobId, payload) — local instances and droplet agents alike —
+// plus its own job.started, job.stopped, job.error and
+// droplet.destroyed. Subscribers live in job-events.js.
 // ============================================================
 
+const { EventEmitter } = require('events');
 const db = require('./database');
-const { SchedulerInstance, loadModules } = require('./scheduler-engine');
+const { SchedulerInstance, loadModules, EVENTS: ENGINE_EVENTS } = require('./scheduler-engine');
+const { parseGroupPage } = require('./ais-parser');
 const dropletManager = require('./droplet-manager');
-
-class JobManager {
+const callbackAuth = require('./callback-auth');
+const jobEvents = require('./job-events');
+const { stopPolicyReason } = require('./run-schedule');
+const { localToday } = require('./matching');
+
+// How long a new droplet has to boot, install and redeem its bootstrap token
+const BOOTSTRAP_TOKEN_TTL_MINUTES = parseInt(process.env.BOOTSTRAP_TOKEN_TTL_MINUTES) || 30;
+const ALLOW_INSECURE_BOOTSTRAP = process.env.ALLOW_INSECURE_BOOTSTRAP === 'true';
+
+// Job fields a droplet may report through 'state' events
+const REMOTE_STATE_FIELDS = [
+  'status', 'lastError', 'totalChecks', 'successfulChecks', 'failedChecks',
+  'consecutiveFailures', 'reloginCount', 'lastCheckAt', 'startedAt',
+  'bookedDate', 'bookedTime', 'bookedFacility', 'bookedAt',
+  'bookedAscDate', 'bookedAscTime', 'bookedAscFacility', 'lastDryRun', 'pendingOffers',
+  'currentAppointmentDate', 'currentAppointmentTime', 'currentAppointmentLocation',
+  'applicants', 'visaClass', 'accountCheckedAt', 'activeUntil', 'nextWakeAt', 'stopReason'
+];
+
+class JobManager extends EventEmitter {
   constructor() {
+    super();
     // Active scheduler instances: jobId → SchedulerInstance
     this.instances = new Map();
   }
@@ -86,13 +112,19 @@ class JobManager {
     }
 
     // Validate required fields
-    if (!job.email || !job.password || !job.scheduleId) {
+    if (!job.email || !job.hasPassword || !job.scheduleId) {
       throw new Error('Job is missing email, password, or scheduleId.');
     }
     if (!job.facilityIds || job.facilityIds.length === 0) {
       throw new Error('No facility IDs configured. Fetch locations first and select facilities.');
     }
 
+    // A run that would expire straight away (deadline or end date passed)
+    const expired = stopPolicyReason(job.stopPolicy, { now: new Date(), startedAt: null, checks: 0, endDate: job.endDate, today: localToday() });
+    if (expired) {
+      throw new Error('The auto-stop policy already applies (' + expired + '). Change it before starting the job.');
+    }
+
     // ── DROPLET MODE ──
     if (dropletManager.isEnabled()) {
       return this._startDropletJob(id, job);
@@ -106,52 +138,162 @@ class JobManager {
   async _startLocalJob(id, job) {
     const instance = new SchedulerInstance(id);
     this.instances.set(id, instance);
+    for (const event of ENGINE_EVENTS) {
+      instance.on(event, payload => this.emit(event, id, payload));
+    }
 
-    instance.start().catch(err => {
+    instance.start(this.buildEngineConfig(id)).catch(err => {
       console.error('[JobManager] Job ' + id + ' crashed:', err.message);
       db.updateJob(id, { status: 'error', lastError: err.message });
+      this.emit('job.error', id, { error: err.message });
     });
 
+    this.emit('job.started', id, { mode: 'local' });
     return this.getJob(id);
   }
 
   // ── Start job on a new DigitalOcean droplet ──
   async _startDropletJob(id, job) {
+    // The agent fetches the config, AIS password included, from MAIN_VPS_URL
+    if (dropletManager.usesPlainHttp()) {
+      if (!ALLOW_INSECURE_BOOTSTRAP) {
+        throw new Error('MAIN_VPS_URL uses plain http, which would send the AIS password to the droplet unencrypted. Use https (or set ALLOW_INSECURE_BOOTSTRAP=true).');
+      }
+      console.warn('[JobManager] ⚠️ MAIN_VPS_URL is plain http: job ' + id + "'s config and AIS password go to its droplet unencrypted.");
+      db.addLog(id, 'warn', '⚠️ MAIN_VPS_URL is plain http: the job config and AIS password are sent to the droplet unencrypted.');
+    }
+
     console.log('[JobManager] Droplet mode: spawning droplet for job ' + id);
     db.updateJob(id, { status: 'provisioning', dropletId: null, dropletIp: null, dropletStatus: 'creating' });
 
-    const jobConfig = {
-      email: job.email,
-      password: job.password,
+    // Spawn droplet in background - don't block HTTP response
+    this._provisionDroplet(id).catch(err => {
+      console.error('[JobManager] Droplet provisioning failed for job ' + id + ':', err.message);
+      db.clearBootstrapToken(id);
+      db.updateJob(id, { status: 'error', lastError: 'Droplet provisioning failed: ' + err.message, dropletStatus: 'failed' });
+      db.addLog(id, 'error', 'Droplet provisioning failed: ' + err.message);
+      this.emit('job.error', id, { error: 'Droplet provisioning failed: ' + err.message });
+    });
+
+    this.emit('job.started', id, { mode: 'droplet' });
+    return this.getJob(id);
+  }
+
+  // ── SchedulerInstance config: credentials + settings (local start, or a droplet's bootstrap) ──
+  buildEngineConfig(id) {
+    const job = db.getJob(id);
+    if (!job) throw new Error('Job not found');
+    const credentials = db.getJobCredentials(id);
+    return {
+      email: credentials.email,
+      password: credentials.password,
       scheduleId: job.scheduleId,
       country: job.country,
       facilityIds: job.facilityIds,
       startDate: job.startDate,
       endDate: job.endDate,
+      dateRanges: job.dateRanges,
       checkIntervalSeconds: job.checkIntervalSeconds,
       intervalSchedule: job.intervalSchedule || [],
+      cronExpression: job.cronExpression,
+      cronTimezone: job.cronTimezone,
       autoBook: job.autoBook,
+      dateRules: job.dateRules,
+      timePreferences: job.timePreferences,
+      activeHours: job.activeHours,
+      stopPolicy: job.stopPolicy,
+      ascFacilityId: job.ascFacilityId,
+      rescheduleMode: job.rescheduleMode,
+      expedite: job.expedite,
+      dryRun: job.dryRun,
+      minImprovementDays: job.minImprovementDays,
       maxReloginAttempts: job.maxReloginAttempts,
       requestTimeoutMs: job.requestTimeoutMs,
-      maxRetries: job.maxRetries
+      maxRetries: job.maxRetries,
+      locations: [...db.getCachedLocations(id), ...db.getCachedLocations(id, 'asc')]
     };
+  }
 
-    // Spawn droplet in background - don't block HTTP response
-    this._provisionDroplet(id, jobConfig).catch(err => {
-      console.error('[JobManager] Droplet provisioning failed for job ' + id + ':', err.message);
-      db.updateJob(id, { status: 'error', lastError: 'Droplet provisioning failed: ' + err.message, dropletStatus: 'failed' });
-      db.addLog(id, 'error', 'Droplet provisioning failed: ' + err.message);
-    });
+  // ── Event forwarded by a droplet agent (same names and payloads as SchedulerInstance) ──
+  // Returns false for events a droplet may not send.
+  ingestRemoteEvent(id, event, payload) {
+    if (!ENGINE_EVENTS.includes(event) || !payload || typeof payload !== 'object') return false;
+    if (event === 'log') {
+      if (!payload.level || !payload.message) return false;
+      payload = { level: String(payload.level), message: '[droplet] ' + String(payload.message) };
+    }
+    if (event === 'state') {
+      const fields = {};
+      for (const key of REMOTE_STATE_FIELDS) {
+        if (payload[key] !== undefined) fields[key] = payload[key];
+      }
+      if (fields.applicants !== undefined && !Array.isArray(fields.applicants)) delete fields.applicants;
+      if (fields.pendingOffers !== undefined && !Array.isArray(fields.pendingOffers)) delete fields.pendingOffers;
+      if (fields.lastDryRun !== undefined && (typeof fields.lastDryRun !== 'object' || Array.isArray(fields.lastDryRun))) delete fields.lastDryRun;
+      if (Object.keys(fields).length === 0) return true;
+      payload = fields;
+    }
+    this.emit(event, id, payload);
 
-    return this.getJob(id);
+    // An expired job is finished, so its droplet goes away like a stopped one
+    if (event === 'expired') {
+      this.destroyJobDroplet(id).catch(err => {
+        console.error('[JobManager] Failed to destroy droplet of expired job ' + id + ':', err.message);
+      });
+    }
+    return true;
+  }
+
+  // ── Droplet agent trades its bootstrap token for config + callback secret ──
+  // Returns null when the token is wrong, used or expired. An expired or reused
+  // token is this droplet's own: its agent can't start, so the droplet goes.
+  // An unknown token proves nothing and changes nothing (the expiry check
+  // in _provisionDroplet cleans up an agent that never gets its config).
+  redeemBootstrap(id, token) {
+    const result = db.redeemBootstrapToken(id, token);
+    if (result !== 'ok') {
+      if (result === 'expired') this._failBootstrap(id, 'Droplet bootstrap token expired before the agent used it.');
+      if (result === 'used') this._failBootstrap(id, 'Droplet agent asked for its config again with a used bootstrap token.');
+      return null;
+    }
+    // Fresh callback credential (valid for this job only), issued only to the agent
+    const callbackSecret = callbackAuth.generateSecret();
+    db.setCallbackSecret(id, callbackSecret);
+    db.addLog(id, 'info', 'Droplet agent fetched its config (bootstrap token used).');
+    return { config: this.buildEngineConfig(id), callbackSecret };
+  }
+
+  // The droplet can't run without its config: destroy it and mark the job failed
+  _failBootstrap(id, message) {
+    const job = db.getJob(id);
+    if (!job || !job.dropletId) return;
+    console.error('[JobManager] Job ' + id + ': ' + message);
+    db.addLog(id, 'error', message + ' Destroying the droplet.');
+    this.destroyJobDroplet(id)
+      .catch(err => console.error('[JobManager] Failed to destroy droplet for job ' + id + ':', err.message))
+      .finally(() => {
+        db.updateJob(id, { status: 'error', lastError: message });
+        this.emit('job.error', id, { error: message });
+      });
   }
 
-  async _provisionDroplet(id, jobConfig) {
-    // 1. Create droplet
-    const droplet = await dropletManager.createDroplet(id, jobConfig);
-    db.updateJob(id, { dropletId: String(droplet.id), dropletStatus: 'booting' });
+  async _provisionDroplet(id) {
+    // 1. Issue a one-time bootstrap token (the agent trades it for config + callback secret) and create droplet
+    db.setCallbackSecret(id, null);
+    const bootstrapToken = db.issueBootstrapToken(id, BOOTSTRAP_TOKEN_TTL_MINUTES);
+    const droplet = await dropletManager.createDroplet(id, bootstrapToken);
+    const dropletId = String(droplet.id);
+    db.updateJob(id, { dropletId, dropletStatus: 'booting' });
     db.addLog(id, 'info', 'Droplet #' + droplet.id + ' created. Waiting for it to boot...');
 
+    // An agent that never fetches its config (wrong token, can't reach us) would run forever
+    setTimeout(() => {
+      const job = db.getJob(id);
+      if (job && job.dropletId === dropletId && !db.getCallbackSecret(id)) {
+        this._failBootstrap(id, 'Droplet agent did not fetch its config within ' + BOOTSTRAP_TOKEN_TTL_MINUTES + ' minutes.');
+      }
+    }, BOOTSTRAP_TOKEN_TTL_MINUTES * 60 * 1000 + 60 * 1000).unref();
+
     // 2. Wait until active
     const { ip } = await dropletManager.waitForActive(droplet.id);
     db.updateJob(id, { dropletIp: ip, dropletStatus: 'active', status: 'running' });
@@ -165,6 +307,7 @@ class JobManager {
       const job = db.getJob(id);
       if (job && job.dropletId) {
         await this.destroyJobDroplet(id);
+        this.emit('job.stopped', id, {});
         return this.getJob(id);
       }
     }
@@ -175,9 +318,11 @@ class JobManager {
       await instance.stop();
       this.instances.delete(id);
     } else {
-      // Just ensure DB status is correct
-      db.updateJob(id, { status: 'stopped' });
+      // Just ensure DB status is correct; a booked or expired job keeps its status
+      const job = db.getJob(id);
+      if (job && job.status !== 'booked' && job.status !== 'expired') db.updateJob(id, { status: 'stopped' });
     }
+    this.emit('job.stopped', id, {});
     return this.getJob(id);
   }
 
@@ -188,19 +333,23 @@ class JobManager {
 
     console.log('[JobManager] Destroying droplet ' + job.dropletId + ' for job ' + id);
     await dropletManager.destroyDroplet(job.dropletId);
+    db.setCallbackSecret(id, null); // revoke the droplet's callback credential
+    db.clearBootstrapToken(id);
     db.updateJob(id, {
-      status: job.status === 'booked' ? 'booked' : 'stopped',
+      status: job.status === 'booked' || job.status === 'expired' ? job.status : 'stopped',
       dropletId: null,
       dropletIp: null,
       dropletStatus: 'destroyed'
     });
     db.addLog(id, 'info', 'Droplet destroyed.');
+    this.emit('droplet.destroyed', id, { dropletId: job.dropletId });
   }
 
   // ── Fetch locations for a job (pure HTTP — no Puppeteer) ──
   async fetchLocations(id) {
     const job = db.getJob(id);
     if (!job) throw new Error('Job not found');
+    const credentials = db.getJobCredentials(id);
 
     const https = require('https');
     const BASE = `https://ais.usvisa-info.com/${job.country}/niv`;
@@ -270,8 +419,8 @@ class JobManager {
 
     // ── Step 2: POST login ──
     const formBody = [
-      `user%5Bemail%5D=${encodeURIComponent(job.email)}`,
-      `user%5Bpassword%5D=${encodeURIComponent(job.password)}`,
+      `user%5Bemail%5D=${encodeURIComponent(credentials.email)}`,
+      `user%5Bpassword%5D=${encodeURIComponent(credentials.password)}`,
       `policy_confirmed=1`,
       `commit=Sign+In`
     ].join('&');
@@ -310,33 +459,68 @@ class JobManager {
       throw new Error(`Appointment page returned ${apptRes.statusCode}`);
     }
 
-    // ── Step 4: Parse <select name="appointments[consulate_appointment][facility_id]"> ──
-    const selectMatch = apptRes.body.match(
-      /<select[^>]+name=["']appointments\[consulate_appointment\]\[facility_id\]["'][^>]*>([\s\S]*?)<\/select>/i
-    );
-    if (!selectMatch) {
-      throw new Error('Could not find facility select on appointment page — login may have failed');
+    // ── Step 4: Parse the consulate and ASC (biometrics) facility <select>s ──
+    // Returns null when the select is missing (no ASC select = no separate biometrics)
+    function selectOptions(kind) {
+      const selectMatch = apptRes.body.match(new RegExp(
+        '<select[^>]+name=["\']appointments\\[' + kind + '_appointment\\]\\[facility_id\\]["\'][^>]*>([\\s\\S]*?)<\\/select>', 'i'
+      ));
+      if (!selectMatch) return null;
+      const optionRegex = /<option[^>]+value=["'](\d+)["'][^>]*>(.*?)<\/option>/gi;
+      const options = [];
+      let m;
+      while ((m = optionRegex.exec(selectMatch[1])) !== null) {
+        const value = m[1].trim();
+        const label = m[2].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&quot;/g, '"').trim();
+        if (value) options.push({ id: value, name: label });
+      }
+      return options;
     }
 
-    const optionRegex = /<option[^>]+value=["'](\d+)["'][^>]*>(.*?)<\/option>/gi;
-    const locations = [];
-    let m;
-    while ((m = optionRegex.exec(selectMatch[1])) !== null) {
-      const value = m[1].trim();
-      const label = m[2].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&quot;/g, '"').trim();
-      if (value) locations.push({ id: value, name: label });
+    const locations = selectOptions('consulate');
+    if (!locations) {
+      throw new Error('Could not find facility select on appointment page — login may have failed');
     }
-
     if (locations.length === 0) {
       throw new Error('No locations found in select dropdown — check login credentials or schedule ID');
     }
 
     // Cache in DB
-    db.cacheLocations(id, locations);
+    db.cacheLocations(id, locations, selectOptions('asc') || []);
+
+    // ── Step 5: GET group page → current appointment + applicants (best effort) ──
+    try {
+      const groupRes = await request('GET', `${BASE}/groups/${job.scheduleId}`, {
+        headers: {
+          'Cookie': cookies,
+          'Referer': apptUrl,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        }
+      });
+      if (groupRes.statusCode !== 200) throw new Error(`Group page returned ${groupRes.statusCode}`);
+      this._saveAccountDetails(id, parseGroupPage(groupRes.body, job.scheduleId));
+    } catch (err) {
+      db.addLog(id, 'warn', 'Could not read account details: ' + err.message);
+    }
 
     return locations;
   }
 
+  // ── Store what the group page says the account holds (partial reads keep old values) ──
+  _saveAccountDetails(id, details) {
+    const fields = { accountCheckedAt: new Date().toISOString() };
+    if (details.appointment) {
+      fields.currentAppointmentDate = details.appointment.date;
+      fields.currentAppointmentTime = details.appointment.time;
+      fields.currentAppointmentLocation = details.appointment.location;
+    }
+    if (details.applicants.length > 0) {
+      fields.applicants = details.applicants;
+      fields.visaClass = details.visaClass;
+    }
+    db.updateJob(id, fields);
+  }
+
   // ── Get logs for a job ──
   getLogs(id, opts) {
     return db.getLogs(id, opts);
@@ -348,8 +532,15 @@ class JobManager {
   }
 
   // ── Get cached locations ──
-  getCachedLocations(id) {
-    return db.getCachedLocations(id);
+  getCachedLocations(id, kind) {
+    return db.getCachedLocations(id, kind);
+  }
+
+  // ── Book a pending offer on the running job's live session (local mode only) ──
+  async bookNow(id, { facilityId, date, time }) {
+    const instance = this.instances.get(id);
+    if (!instance || !instance.running) throw new Error('The job is not running.');
+    return instance.bookNow(facilityId, date, time);
   }
 
   // ── Reset booking status (to re-run) ──
@@ -363,7 +554,11 @@ class JobManager {
       bookedDate: null,
       bookedTime: null,
       bookedFacility: null,
+      bookedAscDate: null,
+      bookedAscTime: null,
+      bookedAscFacility: null,
       bookedAt: null,
+      lastDryRun: null,
       totalChecks: 0,
       successfulChecks: 0,
       failedChecks: 0,
@@ -409,4 +604,7 @@ class JobManager {
   }
 }
 
-module.exports = new JobManager();
+const jobManager = new JobManager();
+jobEvents.subscribe(jobManager);
+
+module.exports = jobManager;
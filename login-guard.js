@@ -0,0 +1,71 @@
+// ============================================================
+// LOGIN GUARD - Brute-force protection for dashboard sign-in
+// Per-IP progressive lockout plus a global ceiling on failed
+// attempts (catches distributed guessing). In-memory: counters
+// reset on restart, which is fine for a single-process server.
+// ============================================================
+
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;   // failures before the first lockout
+const IP_BASE_LOCK_MS = 30 * 1000;                                          // doubles with every further failure
+const IP_MAX_LOCK_MS = 60 * 60 * 1000;
+const IP_FORGET_MS = 24 * 60 * 60 * 1000;                                   // clean slate after a quiet day
+
+const GLOBAL_WINDOW_MS = 10 * 60 * 1000;
+const GLOBAL_MAX_FAILURES = parseInt(process.env.LOGIN_GLOBAL_MAX_FAILURES) || 100;
+const GLOBAL_LOCK_MS = 5 * 60 * 1000;
+
+// ip → { failures, lockedUntil, lastFailureAt }
+const ipRecords = new Map();
+let globalFailures = []; // timestamps within GLOBAL_WINDOW_MS
+let globalLockedUntil = 0;
+
+function prune(now) {
+  globalFailures = globalFailures.filter(t => now - t < GLOBAL_WINDOW_MS);
+  for (const [ip, rec] of ipRecords) {
+    if (now - rec.lastFailureAt > IP_FORGET_MS) ipRecords.delete(ip);
+  }
+}
+
+// ── May this IP attempt a login right now? ──
+// Returns null when allowed, otherwise { scope, retryAfterSeconds }.
+function check(ip, now = Date.now()) {
+  if (globalLockedUntil > now) {
+    return { scope: 'global', retryAfterSeconds: Math.ceil((globalLockedUntil - now) / 1000) };
+  }
+  const rec = ipRecords.get(ip);
+  if (rec && rec.lockedUntil > now) {
+    return { scope: 'ip', retryAfterSeconds: Math.ceil((rec.lockedUntil - now) / 1000) };
+  }
+  return null;
+}
+
+function recordFailure(ip, now = Date.now()) {
+  prune(now);
+
+  const rec = ipRecords.get(ip) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+  rec.failures++;
+  rec.lastFailureAt = now;
+  if (rec.failures >= IP_FREE_ATTEMPTS) {
+    const lockMs = Math.min(IP_BASE_LOCK_MS * 2 ** (rec.failures - IP_FREE_ATTEMPTS), IP_MAX_LOCK_MS);
+    rec.lockedUntil = now + lockMs;
+    console.warn('[Auth] ' + rec.failures + ' failed logins from ' + ip + ' — locked for ' + Math.round(lockMs / 1000) + 's');
+  }
+  ipRecords.set(ip, rec);
+
+  globalFailures.push(now);
+  if (globalFailures.length >= GLOBAL_MAX_FAILURES && globalLockedUntil <= now) {
+    globalLockedUntil = now + GLOBAL_LOCK_MS;
+    globalFailures = [];
+    console.warn('[Auth] ' + GLOBAL_MAX_FAILURES + ' failed logins in ' + (GLOBAL_WINDOW_MS / 60000) + ' min — all logins paused for ' + (GLOBAL_LOCK_MS / 60000) + ' min');
+  }
+}
+
+function recordSuccess(ip) {
+  ipRecords.delete(ip);
+}
+
+module.exports = {
+  check,
+  recordFailure,
+  recordSuccess
+};
@@ -0,0 +1,372 @@
+// ============================================================
+// MATCHING - Per-job rules for which dates and times may be booked
+// Shared by the API (validation) and the scheduler engine
+// (filtering). Dates are "YYYY-MM-DD", times "HH:MM" (24h).
+//
+// dateRanges: [{ start, end }, ...]                      — inclusive, the acceptable windows
+//
+// dateRules: {
+//   blackoutDates:   ['2026-05-04', ...]                 — never book these days
+//   blackoutRanges:  [{ start, end }, ...]               — inclusive
+//   allowedWeekdays: [1, 2, 3, 4, 5]                     — 0 = Sunday … 6 = Saturday
+//   minLeadDays:     3                                   — at least this many days from today
+// }
+//
+// timePreferences: {
+//   earliest:  '09:00'                                   — no slot before this
+//   latest:    '15:30'                                   — no slot after this
+//   preferred: ['10:00', '11:00-12:30', ...]             — ranked; a time or a window
+// }
+//
+// facilityIds: ['94', { id: '95', startDate, endDate, priority }, ...]
+//   startDate/endDate — this facility's own window (replaces the job's)
+//   priority          — 0–100, higher is checked and booked first
+// ============================================================
+
+const { addDays } = require('./ais-parser');
+
+const MAX_DATE_RANGES = 20;
+const MAX_BLACKOUT_DATES = 366;
+const MAX_BLACKOUT_RANGES = 50;
+const MAX_LEAD_DAYS = 365;
+const MAX_PREFERRED_TIMES = 20;
+const MAX_FACILITIES = 50;
+const MAX_FACILITY_PRIORITY = 100;
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(value + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().startsWith(value);
+}
+
+function weekday(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+// Today on the server's clock, as "YYYY-MM-DD"
+function localToday() {
+  const now = new Date();
+  return now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0');
+}
+
+// ── Validate + canonicalize job.dateRanges (throws with a user-facing message) ──
+// Sorted by start; overlapping or touching ranges are merged.
+function normalizeDateRanges(input) {
+  if (!Array.isArray(input) || input.length === 0) throw new Error('dateRanges must be a non-empty list of { start, end }.');
+  if (input.length > MAX_DATE_RANGES) throw new Error('dateRanges allows at most ' + MAX_DATE_RANGES + ' ranges.');
+  const list = input.map((r, i) => {
+    const where = 'dateRanges #' + (i + 1) + ': ';
+    if (!r || !isIsoDate(r.start) || !isIsoDate(r.end)) throw new Error(where + 'start and end must be YYYY-MM-DD dates.');
+    if (r.start > r.end) throw new Error(where + 'start must not be after end.');
+    return { start: r.start, end: r.end };
+  }).sort((a, b) => a.start.localeCompare(b.start));
+
+  const merged = [list[0]];
+  for (const r of list.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r.start <= addDays(last.end, 1)) {
+      if (r.end > last.end) last.end = r.end;
+    } else {
+      merged.push(r);
+    }
+  }
+  return merged;
+}
+
+function inDateRanges(dateStr, ranges) {
+  return (ranges || []).some(r => dateStr >= r.start && dateStr <= r.end);
+}
+
+// ── Date ranges that apply at one facility ──
+// A window with both bounds replaces the job's ranges; a single bound
+// clips each of them, so the gaps between ranges stay closed.
+function facilityDateRanges(facility, ranges) {
+  const start = facility && facility.startDate, end = facility && facility.endDate;
+  if (!start && !end) return ranges || [];
+  if (start && end) return [{ start, end }];
+  return (ranges || [])
+    .map(r => ({ start: start && start > r.start ? start : r.start, end: end && end < r.end ? end : r.end }))
+    .filter(r => r.start <= r.end);
+}
+
+// ── Validate + canonicalize job.dateRules (throws with a user-facing message) ──
+// Returns null when no rule is set.
+function normalizeDateRules(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('dateRules must be an object.');
+  const out = {};
+
+  if (input.blackoutDates !== undefined && input.blackoutDates !== null) {
+    const dates = input.blackoutDates;
+    if (!Array.isArray(dates) || dates.some(d => !isIsoDate(d))) {
+      throw new Error('dateRules.blackoutDates must be a list of YYYY-MM-DD dates.');
+    }
+    if (dates.length > MAX_BLACKOUT_DATES) throw new Error('dateRules.blackoutDates allows at most ' + MAX_BLACKOUT_DATES + ' dates.');
+    if (dates.length > 0) out.blackoutDates = [...new Set(dates)].sort();
+  }
+
+  if (input.blackoutRanges !== undefined && input.blackoutRanges !== null) {
+    const ranges = input.blackoutRanges;
+    if (!Array.isArray(ranges)) throw new Error('dateRules.blackoutRanges must be a list.');
+    if (ranges.length > MAX_BLACKOUT_RANGES) throw new Error('dateRules.blackoutRanges allows at most ' + MAX_BLACKOUT_RANGES + ' ranges.');
+    const list = ranges.map((r, i) => {
+      const where = 'dateRules.blackoutRanges #' + (i + 1) + ': ';
+      if (!r || !isIsoDate(r.start) || !isIsoDate(r.end)) throw new Error(where + 'start and end must be YYYY-MM-DD dates.');
+      if (r.start > r.end) throw new Error(where + 'start must not be after end.');
+      return { start: r.start, end: r.end };
+    });
+    if (list.length > 0) out.blackoutRanges = list.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  if (input.allowedWeekdays !== undefined && input.allowedWeekdays !== null) {
+    const days = input.allowedWeekdays;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('dateRules.allowedWeekdays must be a non-empty list of weekdays 0 (Sunday) to 6 (Saturday).');
+    }
+    const unique = [...new Set(days)].sort();
+    if (unique.length < 7) out.allowedWeekdays = unique; // all seven = no rule
+  }
+
+  if (input.minLeadDays !== undefined && input.minLeadDays !== null) {
+    const lead = input.minLeadDays;
+    if (!Number.isInteger(lead) || lead < 0 || lead > MAX_LEAD_DAYS) {
+      throw new Error('dateRules.minLeadDays must be a whole number from 0 to ' + MAX_LEAD_DAYS + '.');
+    }
+    if (lead > 0) out.minLeadDays = lead;
+  }
+
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+// ── Why a date is excluded by the rules (null = allowed) ──
+function dateRuleViolation(dateStr, rules, today) {
+  if (!rules) return null;
+  if (rules.minLeadDays && dateStr < addDays(today || localToday(), rules.minLeadDays)) return 'lead time';
+  if (rules.allowedWeekdays && !rules.allowedWeekdays.includes(weekday(dateStr))) return 'weekday';
+  if (rules.blackoutDates && rules.blackoutDates.includes(dateStr)) return 'blackout date';
+  if (rules.blackoutRanges && rules.blackoutRanges.some(r => dateStr >= r.start && dateStr <= r.end)) return 'blackout range';
+  return null;
+}
+
+// ── Keep only the dates the rules allow ──
+function applyDateRules(dateStrs, rules, today) {
+  if (!rules) return dateStrs;
+  today = today || localToday();
+  return dateStrs.filter(d => !dateRuleViolation(d, rules, today));
+}
+
+// ── "8:15" / "08:15" / "08:15:00" → minutes after midnight (null if not a time) ──
+function timeToMinutes(value) {
+  const m = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!m) return null;
+  const h = parseInt(m[1]), min = parseInt(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function minutesToTime(minutes) {
+  return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+// "10:00" → { from: 600, to: 600 }, "11:00-12:30" → { from: 660, to: 750 }
+function parseTimeWindow(value) {
+  const parts = typeof value === 'string' ? value.split('-') : [];
+  if (parts.length === 1) {
+    const t = timeToMinutes(parts[0]);
+    return t === null ? null : { from: t, to: t };
+  }
+  if (parts.length === 2) {
+    const from = timeToMinutes(parts[0]), to = timeToMinutes(parts[1]);
+    return from === null || to === null || from > to ? null : { from, to };
+  }
+  return null;
+}
+
+// ── Validate + canonicalize job.timePreferences (throws with a user-facing message) ──
+// Returns null when no preference is set.
+function normalizeTimePreferences(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('timePreferences must be an object.');
+  const out = {};
+
+  for (const key of ['earliest', 'latest']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const t = timeToMinutes(input[key]);
+    if (t === null) throw new Error('timePreferences.' + key + ' must be a time like 09:30.');
+    out[key] = minutesToTime(t);
+  }
+  if (out.earliest && out.latest && out.earliest > out.latest) {
+    throw new Error('timePreferences.earliest must not be after latest.');
+  }
+
+  if (input.preferred !== undefined && input.preferred !== null) {
+    const list = input.preferred;
+    if (!Array.isArray(list)) throw new Error('timePreferences.preferred must be a list.');
+    if (list.length > MAX_PREFERRED_TIMES) throw new Error('timePreferences.preferred allows at most ' + MAX_PREFERRED_TIMES + ' entries.');
+    const preferred = list.map((entry, i) => {
+      const w = parseTimeWindow(entry);
+      if (!w) throw new Error('timePreferences.preferred #' + (i + 1) + ' must be a time (10:00) or a window (10:00-11:30).');
+      return w.from === w.to ? minutesToTime(w.from) : minutesToTime(w.from) + '-' + minutesToTime(w.to);
+    });
+    if (preferred.length > 0) out.preferred = preferred;
+  }
+
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+// ── Choose a slot from the times JSON ──
+// Slots outside earliest..latest are never picked. Preferred entries are tried
+// in order (earliest fitting slot wins); otherwise the earliest slot that fits.
+// Returns { time, reason } — time is null when no slot fits.
+function pickTime(availableTimes, prefs) {
+  const slots = (availableTimes || [])
+    .map(t => ({ time: t, minutes: timeToMinutes(t) }))
+    .filter(s => s.minutes !== null)
+    .sort((a, b) => a.minutes - b.minutes);
+  if (slots.length === 0) return { time: null, reason: 'no readable time slots' };
+  if (!prefs) return { time: slots[0].time, reason: 'first available' };
+
+  const from = prefs.earliest ? timeToMinutes(prefs.earliest) : 0;
+  const to = prefs.latest ? timeToMinutes(prefs.latest) : 24 * 60;
+  const fitting = slots.filter(s => s.minutes >= from && s.minutes <= to);
+  if (fitting.length === 0) {
+    return { time: null, reason: 'none of ' + slots.map(s => s.time).join(', ') + ' is within ' + (prefs.earliest || '00:00') + '–' + (prefs.latest || '23:59') };
+  }
+
+  const preferred = prefs.preferred || [];
+  for (let i = 0; i < preferred.length; i++) {
+    const w = parseTimeWindow(preferred[i]);
+    const match = w && fitting.find(s => s.minutes >= w.from && s.minutes <= w.to);
+    if (match) return { time: match.time, reason: 'preference #' + (i + 1) + ' (' + preferred[i] + ')' };
+  }
+  return {
+    time: fitting[0].time,
+    reason: (preferred.length > 0 ? 'no preferred slot, ' : '') + 'earliest within ' + (prefs.earliest || '00:00') + '–' + (prefs.latest || '23:59')
+  };
+}
+
+// ── Stored facility entry → { id, startDate, endDate, priority } ──
+// Accepts the plain ids older jobs hold. Never throws (reads trust the DB).
+function facilityEntry(value) {
+  if (value && typeof value === 'object') {
+    return {
+      id: String(value.id),
+      startDate: value.startDate || null,
+      endDate: value.endDate || null,
+      priority: Number.isInteger(value.priority) ? value.priority : 0
+    };
+  }
+  return { id: String(value), startDate: null, endDate: null, priority: 0 };
+}
+
+// ── Validate + canonicalize job.facilityIds (throws with a user-facing message) ──
+// Duplicate ids keep their first entry.
+function normalizeFacilities(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error('facilityIds must be a list.');
+  if (input.length > MAX_FACILITIES) throw new Error('facilityIds allows at most ' + MAX_FACILITIES + ' facilities.');
+  const seen = new Set();
+  const out = [];
+  input.forEach((value, i) => {
+    const where = 'facilityIds #' + (i + 1) + ': ';
+    const raw = value && typeof value === 'object' ? value : { id: value };
+    const id = typeof raw.id === 'number' ? String(raw.id) : raw.id;
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) throw new Error(where + 'id must be a facility ID like 94.');
+    for (const key of ['startDate', 'endDate']) {
+      if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '' && !isIsoDate(raw[key])) {
+        throw new Error(where + key + ' must be a YYYY-MM-DD date.');
+      }
+    }
+    const startDate = raw.startDate || null, endDate = raw.endDate || null;
+    if (startDate && endDate && startDate > endDate) throw new Error(where + 'startDate must not be after endDate.');
+    const priority = raw.priority === undefined || raw.priority === null || raw.priority === '' ? 0 : raw.priority;
+    if (!Number.isInteger(priority) || priority < 0 || priority > MAX_FACILITY_PRIORITY) {
+      throw new Error(where + 'priority must be a whole number from 0 to ' + MAX_FACILITY_PRIORITY + '.');
+    }
+    if (seen.has(id)) return;
+    seen.add(id);
+    out.push({ id, startDate, endDate, priority });
+  });
+  return out;
+}
+
+// ── job.ascFacilityId: ASC (biometrics) facility id, null = first one AIS offers ──
+function normalizeAscFacilityId(input) {
+  if (input === undefined || input === null || input === '') return null;
+  const id = typeof input === 'number' ? String(input) : input;
+  if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) throw new Error('ascFacilityId must be a facility ID like 95.');
+  return id;
+}
+
+// ── Body of a manual booking request → { facilityId, date, time | null } ──
+function normalizeBookingRequest(input) {
+  const body = input || {};
+  const facilityId = typeof body.facilityId === 'number' ? String(body.facilityId) : body.facilityId;
+  if (typeof facilityId !== 'string' || !/^[\w-]+$/.test(facilityId)) throw new Error('facilityId must be a facility ID like 94.');
+  if (!isIsoDate(body.date)) throw new Error('date must be a YYYY-MM-DD date.');
+  if (body.time === undefined || body.time === null || body.time === '') return { facilityId, date: body.date, time: null };
+  if (timeToMinutes(body.time) === null) throw new Error('time must be HH:MM.');
+  return { facilityId, date: body.date, time: body.time };
+}
+
+// ── Facilities in check order: highest priority first, ties keep list order ──
+function orderFacilities(list) {
+  return (list || []).map(facilityEntry)
+    .map((f, i) => ({ f, i }))
+    .sort((a, b) => b.f.priority - a.f.priority || a.i - b.i)
+    .map(x => x.f);
+}
+
+// ── One-line summaries for logs ──
+function describeTimePreferences(prefs) {
+  if (!prefs) return 'none';
+  const parts = [];
+  if (prefs.earliest || prefs.latest) parts.push((prefs.earliest || '00:00') + '–' + (prefs.latest || '23:59'));
+  if (prefs.preferred) parts.push('preferred ' + prefs.preferred.join(' > '));
+  return parts.join(' · ');
+}
+
+// "94 (p10, 2026-03-01..2026-04-15)" — facilities without a window or priority stay bare
+function describeFacility(f, name) {
+  const parts = [];
+  if (f.priority) parts.push('p' + f.priority);
+  if (f.startDate || f.endDate) parts.push((f.startDate || '…') + '..' + (f.endDate || '…'));
+  return (name || f.id) + (parts.length > 0 ? ' (' + parts.join(', ') + ')' : '');
+}
+
+function describeDateRanges(ranges) {
+  return (ranges || []).map(r => r.start + '..' + r.end).join(', ');
+}
+
+function describeDateRules(rules) {
+  if (!rules) return 'none';
+  const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const parts = [];
+  if (rules.allowedWeekdays) parts.push('weekdays ' + rules.allowedWeekdays.map(d => names[d]).join('/'));
+  if (rules.minLeadDays) parts.push('≥ ' + rules.minLeadDays + ' day(s) ahead');
+  if (rules.blackoutDates) parts.push(rules.blackoutDates.length + ' blackout date(s)');
+  if (rules.blackoutRanges) parts.push(rules.blackoutRanges.map(r => 'no ' + r.start + '..' + r.end).join(', '));
+  return parts.join(' · ');
+}
+
+module.exports = {
+  normalizeDateRanges,
+  inDateRanges,
+  facilityDateRanges,
+  describeDateRanges,
+  normalizeDateRules,
+  describeDateRules,
+  applyDateRules,
+  normalizeTimePreferences,
+  describeTimePreferences,
+  pickTime,
+  timeToMinutes,
+  minutesToTime,
+  localToday,
+  facilityEntry,
+  normalizeFacilities,
+  normalizeAscFacilityId,
+  normalizeBookingRequest,
+  orderFacilities,
+  describeFacility
+};
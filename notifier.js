@@ -0,0 +1,240 @@
+// ============================================================
+// NOTIFIER - Pushes job events to email, Telegram, Discord,
+// Slack and ntfy. Global channels come from env; each job can
+// add its own (job.notifications). Never throws — a failed
+// notification is logged on the job and otherwise ignored.
+//
+// Global env:
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+//   NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO
+//   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID, TELEGRAM_API_URL
+//   DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL
+//   NTFY_URL (default https://ntfy.sh), NTFY_TOPIC, NTFY_TOKEN
+//   NOTIFY_EVENTS (comma-separated, default: all)
+// ============================================================
+
+const db = require('./database');
+const { redact } = require('./redact');
+
+const EVENTS = ['booked', 'error', 'ip_blocked', 'account_blocked', 'expired'];
+const CHANNEL_TYPES = ['email', 'telegram', 'discord', 'slack', 'ntfy'];
+const REQUEST_TIMEOUT_MS = 10000;
+
+let nodemailer = null; // loaded on first email
+
+// ── Message text per event ──
+function buildMessage(event, job, data) {
+  const name = job ? job.name : 'Job';
+  switch (event) {
+    case 'booked':
+      return {
+        title: '🎉 Appointment booked — ' + name,
+        body: [
+          'Date: ' + (data.date || '?'),
+          'Time: ' + (data.time || '?'),
+          'Location: ' + (data.facility || '?'),
+          data.asc ? 'ASC: ' + data.asc.date + ' ' + data.asc.time + ' (facility ' + data.asc.facilityId + ')' : null,
+          data.previousDate ? 'Replaces: ' + data.previousDate : null,
+          data.verified === false ? '⚠️ Unverified — please confirm manually.' : null
+        ].filter(Boolean).join('\n'),
+        priority: 'high'
+      };
+    case 'error':
+      return {
+        title: '❌ ' + name + ' stopped with an error',
+        body: data.error || 'Unknown error',
+        priority: 'high'
+      };
+    case 'ip_blocked':
+      return {
+        title: '🕐 IP blocked — ' + name,
+        body: 'All facilities return socket errors. Cooling down ' + data.cooldownMinutes + ' min (block #' + data.blockCount + ').',
+        priority: 'default'
+      };
+    case 'account_blocked':
+      return {
+        title: '🚫 Account API blocked — ' + name,
+        body: 'No scheduling API responses for 3 cycles. Cooling down ' + data.cooldownMinutes + ' min.',
+        priority: 'high'
+      };
+    case 'expired':
+      return {
+        title: '⌛ ' + name + ' stopped automatically',
+        body: 'Auto-stop: ' + (data.reason || 'stop condition reached') + '.',
+        priority: 'default'
+      };
+    case 'test':
+      return { title: '🔔 Test notification — ' + name, body: 'Notifications for this job are working.', priority: 'default' };
+    default:
+      return { title: name + ': ' + event, body: JSON.stringify(data), priority: 'default' };
+  }
+}
+
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error('HTTP ' + res.status + ' ' + (await res.text()).slice(0, 200));
+}
+
+// ── Adapters: (target, message) → Promise ──
+const adapters = {
+  async email(to, msg) {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set.');
+    if (!nodemailer) nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    await transport.sendMail({
+      from: process.env.NOTIFY_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject: msg.title,
+      text: msg.body
+    });
+  },
+
+  async telegram(chatId, msg) {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) throw new Error('TELEGRAM_BOT_TOKEN is not set.');
+    const api = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+    await postJson(api + '/bot' + token + '/sendMessage', {
+      chat_id: chatId,
+      text: msg.title + '\n\n' + msg.body,
+      disable_web_page_preview: true
+    });
+  },
+
+  async discord(url, msg) {
+    await postJson(url, { content: '**' + msg.title + '**\n' + msg.body });
+  },
+
+  async slack(url, msg) {
+    await postJson(url, { text: '*' + msg.title + '*\n' + msg.body });
+  },
+
+  // target: topic name (on NTFY_URL) or a full topic URL
+  async ntfy(target, msg) {
+    const url = /^https?:\/\//.test(target)
+      ? target
+      : (process.env.NTFY_URL || 'https://ntfy.sh').replace(/\/$/, '') + '/' + target;
+    const headers = {
+      // HTTP headers must be latin-1; keep the emoji in the body instead
+      'Title': msg.title.replace(/[^\x20-\x7e]/g, '').replace(/\s+/g, ' ').trim(),
+      'Priority': msg.priority
+    };
+    if (process.env.NTFY_TOKEN) headers['Authorization'] = 'Bearer ' + process.env.NTFY_TOKEN;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: msg.title + '\n' + msg.body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error('HTTP ' + res.status + ' ' + (await res.text()).slice(0, 200));
+  }
+};
+
+// ── Channels configured in env (apply to every job) ──
+function globalChannels() {
+  const env = process.env;
+  const channels = [];
+  if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) channels.push({ type: 'email', target: env.NOTIFY_EMAIL_TO });
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) channels.push({ type: 'telegram', target: env.TELEGRAM_CHAT_ID });
+  if (env.DISCORD_WEBHOOK_URL) channels.push({ type: 'discord', target: env.DISCORD_WEBHOOK_URL });
+  if (env.SLACK_WEBHOOK_URL) channels.push({ type: 'slack', target: env.SLACK_WEBHOOK_URL });
+  if (env.NTFY_TOPIC) channels.push({ type: 'ntfy', target: env.NTFY_TOPIC });
+
+  const events = (env.NOTIFY_EVENTS || '').split(',').map(e => e.trim()).filter(Boolean);
+  return channels.map(ch => ({ ...ch, events: events.length ? events : EVENTS, global: true }));
+}
+
+// ── Validate / normalise a job's notification settings ──
+// { events: [...], channels: [{ type, target }] } — throws with a user-facing message
+function normalizeJobNotifications(input) {
+  if (!input) return { events: EVENTS.slice(), channels: [] };
+  if (typeof input !== 'object') throw new Error('notifications must be an object.');
+
+  const events = input.events === undefined ? EVENTS.slice() : input.events;
+  if (!Array.isArray(events) || events.some(e => !EVENTS.includes(e))) {
+    throw new Error('notifications.events must be a list of: ' + EVENTS.join(', ') + '.');
+  }
+
+  const channels = input.channels || [];
+  if (!Array.isArray(channels)) throw new Error('notifications.channels must be a list.');
+  const out = channels.map((ch, i) => {
+    const type = ch && ch.type;
+    const target = ch && typeof ch.target === 'string' ? ch.target.trim() : '';
+    const where = 'Notification channel #' + (i + 1) + ': ';
+    if (!CHANNEL_TYPES.includes(type)) throw new Error(where + 'type must be one of ' + CHANNEL_TYPES.join(', ') + '.');
+    if (!target) throw new Error(where + 'target is required.');
+    if (type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target)) throw new Error(where + 'not a valid email address.');
+    if (type === 'telegram' && !/^(-?\d+|@\w{4,})$/.test(target)) throw new Error(where + 'Telegram chat id must be numeric or @channel.');
+    if ((type === 'discord' || type === 'slack') && !/^https:\/\/\S+$/.test(target)) throw new Error(where + 'webhook URL must start with https://.');
+    // Per-job URLs must be https: an http target could point the server at internal hosts
+    if (type === 'ntfy' && !/^(https:\/\/\S+|[\w-]{1,64})$/.test(target)) throw new Error(where + 'ntfy target must be a topic name or an https:// URL.');
+    return { type, target };
+  });
+
+  return { events: [...new Set(events)], channels: out };
+}
+
+async function deliver(channels, msg) {
+  return Promise.all(channels.map(async (ch) => {
+    try {
+      await adapters[ch.type](ch.target, msg);
+      return { type: ch.type, global: !!ch.global, ok: true };
+    } catch (err) {
+      return { type: ch.type, global: !!ch.global, ok: false, error: err.message };
+    }
+  }));
+}
+
+// ── Send an event to every matching channel (global + job) ──
+async function notify(jobId, event, data = {}) {
+  try {
+    const job = db.getJob(jobId);
+    const jobSettings = job && job.notifications ? job.notifications : { events: EVENTS, channels: [] };
+    const channels = [
+      ...globalChannels().filter(ch => ch.events.includes(event)),
+      ...(jobSettings.events.includes(event) ? jobSettings.channels : [])
+    ];
+    if (channels.length === 0) return [];
+
+    const msg = buildMessage(event, job, data);
+    msg.body = redact(msg.body);
+    const results = await deliver(channels, msg);
+
+    const sent = results.filter(r => r.ok).map(r => r.type);
+    if (sent.length) db.addLog(jobId, 'info', '🔔 Notified (' + event + ') via ' + sent.join(', '));
+    for (const r of results.filter(r => !r.ok)) {
+      db.addLog(jobId, 'warn', '🔔 Notification via ' + r.type + ' failed: ' + r.error);
+    }
+    return results;
+  } catch (err) {
+    console.error('[Notifier] ' + event + ' for job ' + jobId + ' failed:', err.message);
+    return [];
+  }
+}
+
+// ── Test message to every channel of a job, regardless of event filters ──
+async function sendTest(jobId) {
+  const job = db.getJob(jobId);
+  const channels = [...globalChannels(), ...(job && job.notifications ? job.notifications.channels : [])];
+  return deliver(channels, buildMessage('test', job, {}));
+}
+
+module.exports = {
+  EVENTS,
+  CHANNEL_TYPES,
+  notify,
+  sendTest,
+  globalChannels,
+  normalizeJobNotifications,
+  buildMessage,
+  deliver
+};
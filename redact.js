@@ -0,0 +1,75 @@
+// ============================================================
+// REDACT - Masks secrets in log text before it is stored,
+// printed or returned by the API. Covers emails, passwords,
+// CSRF / authenticity tokens, cookies, session ids and bearer
+// tokens, plus any known secret values passed in (e.g. the
+// job's own account password).
+// ============================================================
+
+const MASK = '[REDACTED]';
+
+// Key/value shaped secrets: `password=…`, `"password": "…"`, `user[password]=…`,
+// `authenticity_token=…`, `X-CSRF-Token: …`, `_yatri_session=…` …
+// Session keys are only cookie / field names: a bare "session" is ordinary log text.
+const SECRET_KEY = '(?:[\\w\\[\\]-]*(?:password|passwd|pwd|authenticity_token|csrf[_-]?token|x-csrf-token|secret|_yatri_session|session[_-]?id|sessid)[\\w\\]-]*)';
+
+const PATTERNS = [
+  // HTML: <meta name="csrf-token" content="…"> / <input name="authenticity_token" value="…">
+  {
+    re: /(<(?:meta|input)\b[^>]*?\bname=["'](?:csrf-token|authenticity_token|[^"']*password[^"']*)["'][^>]*?\b(?:content|value)=["'])([^"']*)(["'])/gi,
+    replace: (m, pre, val, post) => pre + MASK + post
+  },
+  {
+    re: /(<(?:meta|input)\b[^>]*?\b(?:content|value)=["'])([^"']*)(["'][^>]*?\bname=["'](?:csrf-token|authenticity_token|[^"']*password[^"']*)["'])/gi,
+    replace: (m, pre, val, post) => pre + MASK + post
+  },
+  // Cookie / Set-Cookie headers: mask everything up to the end of the line
+  {
+    re: /\b((?:set-)?cookie["']?\s*[:=]\s*["']?)([^\r\n"']+)/gi,
+    replace: (m, pre) => pre + MASK
+  },
+  // Authorization headers and bearer / API tokens
+  { re: /\b(bearer\s+)[\w.~+/=-]+/gi, replace: (m, pre) => pre + MASK },
+  { re: /\bvsk_[\w-]{8,}/g, replace: () => MASK },
+  // JSON: "key": "value"
+  {
+    re: new RegExp('("' + SECRET_KEY + '"\\s*:\\s*")((?:[^"\\\\]|\\\\.)*)(")', 'gi'),
+    replace: (m, pre, val, post) => pre + MASK + post
+  },
+  // Form / query / header style: key=value, key: value
+  {
+    re: new RegExp('(\\b' + SECRET_KEY + '\\s*[=:]\\s*)([^\\s&;,"\'<>]+)', 'gi'),
+    replace: (m, pre) => pre + MASK
+  },
+  // Email addresses (URL-encoded @ included) → first character + domain
+  {
+    re: /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*(@|%40)([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g,
+    replace: (m, first, at, domain) => first + '***' + at + domain
+  }
+];
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ── Mask secrets in a string ──
+// knownSecrets: exact values to mask wherever they appear (too-short values are ignored)
+function redact(text, knownSecrets = []) {
+  if (text === null || text === undefined) return text;
+  let out = String(text);
+
+  for (const secret of knownSecrets) {
+    if (typeof secret === 'string' && secret.length >= 4) {
+      out = out.replace(new RegExp(escapeRegExp(secret), 'g'), MASK);
+    }
+  }
+  for (const { re, replace } of PATTERNS) {
+    out = out.replace(re, replace);
+  }
+  return out;
+}
+
+module.exports = {
+  redact,
+  MASK
+};
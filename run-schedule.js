@@ -0,0 +1,371 @@
+// ============================================================
+// RUN SCHEDULE - When a job is allowed to check at all
+// Weekly active-hours windows in an IANA timezone, e.g. "check
+// 07:00–10:00 consulate time on weekdays". Outside the windows
+// the scheduler idles with its browser page closed.
+//
+// activeHours: {
+//   timezone: 'America/Toronto',
+//   windows:  [{ days: [1, 2, 3, 4, 5], start: '07:00', end: '10:00' }, ...]
+// }
+//   days  — 0 = Sunday … 6 = Saturday, in the timezone above
+//   start — inclusive; end — exclusive, '24:00' = midnight
+//
+// cronExpression: '*/2 7-10 * * 1-5' — five-field cron (minute hour
+//   day-of-month month day-of-week) evaluated in cronTimezone (default
+//   UTC). Replaces checkIntervalSeconds / intervalSchedule when set.
+//
+// stopPolicy: {
+//   deadline:          '2026-12-01T17:00:00.000Z' — stop at this moment
+//   maxRuntimeMinutes: 720                         — stop this long after start
+//   maxChecks:         5000                        — stop after this many check cycles (per run)
+//   stopAfterEndDate:  true                        — stop once the last acceptable date has passed
+// }
+// ============================================================
+
+const { timeToMinutes, minutesToTime } = require('./matching');
+
+const MAX_WINDOWS = 28;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const MAX_CRON_LOOKAHEAD_DAYS = 366 * 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Wall-clock slack for DST: no offset change moves a time by more than this
+const DST_MARGIN_MINUTES = 180;
+const MAX_RUNTIME_MINUTES = 366 * 24 * 60;
+const MAX_CHECKS = 10000000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES.map(d => d.toUpperCase()), offset: 0 }
+];
+
+function isTimezone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// "07:00" → 420; '24:00' is allowed as an end time
+function windowMinutes(value, isEnd) {
+  if (isEnd && typeof value === 'string' && value.trim() === '24:00') return 24 * 60;
+  return timeToMinutes(value);
+}
+
+// ── Validate + canonicalize job.activeHours (throws with a user-facing message) ──
+// Returns null when no window is set (= always active).
+function normalizeActiveHours(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('activeHours must be an object.');
+  if (!isTimezone(input.timezone)) throw new Error('activeHours.timezone must be an IANA timezone like America/Toronto.');
+  const windows = input.windows;
+  if (!Array.isArray(windows)) throw new Error('activeHours.windows must be a list.');
+  if (windows.length === 0) return null;
+  if (windows.length > MAX_WINDOWS) throw new Error('activeHours.windows allows at most ' + MAX_WINDOWS + ' windows.');
+
+  const out = windows.map((w, i) => {
+    const where = 'activeHours.windows #' + (i + 1) + ': ';
+    if (!w || typeof w !== 'object') throw new Error(where + 'must be { days, start, end }.');
+    const days = w.days;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error(where + 'days must be a non-empty list of weekdays 0 (Sunday) to 6 (Saturday).');
+    }
+    const start = windowMinutes(w.start, false), end = windowMinutes(w.end, true);
+    if (start === null || end === null) throw new Error(where + 'start and end must be times like 07:00.');
+    if (start >= end) throw new Error(where + 'start must be before end (split overnight windows in two).');
+    return { days: [...new Set(days)].sort(), start: minutesToTime(start), end: end === 24 * 60 ? '24:00' : minutesToTime(end) };
+  });
+
+  return { timezone: input.timezone, windows: out };
+}
+
+// Building a DateTimeFormat is far slower than using one: keep one per timezone
+const clockFormats = new Map();
+
+function clockFormat(timezone) {
+  let format = clockFormats.get(timezone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+    clockFormats.set(timezone, format);
+  }
+  return format;
+}
+
+// ── Wall clock in the timezone: { year, month, day, weekday, minutes } ──
+function zonedClock(date, timezone) {
+  const parts = {};
+  for (const p of clockFormat(timezone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: DAY_NAMES.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// ── Local wall time in the timezone → Date ──
+// Two passes settle the UTC offset across DST changes. A time skipped by a
+// spring-forward gap is read with the offset from before the gap, so it
+// lands after the gap, shifted by its length (02:30 → 03:30 for a 1h gap).
+function zonedTime(year, month, day, minutes, timezone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = t => {
+    const c = zonedClock(new Date(t), timezone);
+    return Date.UTC(c.year, c.month - 1, c.day, 0, c.minutes) - t;
+  };
+  let guess = wall;
+  for (let i = 0; i < 2; i++) guess = wall - offsetAt(guess);
+  if (guess + offsetAt(guess) !== wall) guess = wall - offsetAt(wall - DAY_MS);
+  return new Date(guess);
+}
+
+// ── Window open at `date` (null when outside every window) ──
+// Returns { window, until } — until is when the window closes.
+function activeWindowAt(activeHours, date) {
+  if (!activeHours) return null;
+  const now = zonedClock(date, activeHours.timezone);
+  for (const w of activeHours.windows) {
+    const start = timeToMinutes(w.start), end = windowMinutes(w.end, true);
+    if (w.days.includes(now.weekday) && now.minutes >= start && now.minutes < end) {
+      return { window: w, until: zonedTime(now.year, now.month, now.day, end, activeHours.timezone) };
+    }
+  }
+  return null;
+}
+
+// ── Next time a window opens after `date` (null when there are no windows) ──
+function nextWindowStart(activeHours, date) {
+  if (!activeHours || activeHours.windows.length === 0) return null;
+  const tz = activeHours.timezone;
+  const today = zonedClock(date, tz);
+  let best = null;
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar arithmetic on the local date; noon avoids DST edge cases
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + offset, 12));
+    const weekday = d.getUTCDay();
+    for (const w of activeHours.windows) {
+      if (!w.days.includes(weekday)) continue;
+      const at = zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), timeToMinutes(w.start), tz);
+      if (at > date && (!best || at < best)) best = at;
+    }
+    if (best) return best;
+  }
+  return best;
+}
+
+// ── One cron field → sorted list of allowed values (throws on bad syntax) ──
+// Supports *, numbers, names (JAN, MON), ranges a-b, steps */n and a-b/n, and lists.
+function parseCronField(text, field) {
+  const value = v => {
+    const i = field.names ? field.names.indexOf(v.toUpperCase()) : -1;
+    if (i >= 0) return i + field.offset;
+    return /^\d+$/.test(v) ? parseInt(v) : NaN;
+  };
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|[A-Za-z0-9]+(?:-[A-Za-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error('cronExpression: ' + field.name + ' field "' + text + '" is invalid.');
+    let from = field.min, to = field.max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-');
+      from = value(a);
+      to = b === undefined ? (m[2] ? field.max : from) : value(b);
+    }
+    const step = m[2] ? parseInt(m[2]) : 1;
+    if (isNaN(from) || isNaN(to)) throw new Error('cronExpression: ' + field.name + ' field "' + text + '" is invalid.');
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error('cronExpression: ' + field.name + ' field "' + text + '" is out of range (' + field.min + '–' + field.max + ').');
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+// ── "*/2 7-10 * * 1-5" → { minutes, hours, days, months, weekdays, anyDay, anyWeekday } ──
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('cronExpression must have five fields: minute hour day-of-month month day-of-week.');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  return {
+    minutes, hours, days, months,
+    weekdays: [...new Set(weekdays.map(d => d % 7))],
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// ── Validate + canonicalize job.cronExpression (throws with a user-facing message) ──
+// Returns null when empty (= use checkIntervalSeconds / intervalSchedule).
+function normalizeCronExpression(input) {
+  if (input === undefined || input === null || String(input).trim() === '') return null;
+  if (typeof input !== 'string') throw new Error('cronExpression must be a string.');
+  const expression = input.trim().split(/\s+/).join(' ');
+  if (nextCronTimes(expression, 'UTC', new Date(), 1).length === 0) {
+    throw new Error('cronExpression never fires (check the day-of-month and month fields).');
+  }
+  return expression;
+}
+
+function normalizeCronTimezone(input) {
+  if (input === undefined || input === null || input === '') return null;
+  if (!isTimezone(input)) throw new Error('cronTimezone must be an IANA timezone like America/Toronto.');
+  return input;
+}
+
+// ── Next `count` fire times strictly after `from` ──
+// Standard cron rule: when both day-of-month and day-of-week are restricted,
+// a day matching either one fires.
+function nextCronTimes(expression, timezone, from, count) {
+  const cron = parseCron(expression);
+  const tz = timezone || 'UTC';
+  const start = zonedClock(from, tz);
+  const times = [];
+  for (let offset = 0; offset <= MAX_CRON_LOOKAHEAD_DAYS && times.length < count; offset++) {
+    const d = new Date(Date.UTC(start.year, start.month - 1, start.day + offset, 12));
+    const dayOk = cron.days.includes(d.getUTCDate());
+    const weekdayOk = cron.weekdays.includes(d.getUTCDay());
+    if (!cron.months.includes(d.getUTCMonth() + 1)) continue;
+    if (cron.anyDay || cron.anyWeekday ? !(dayOk && weekdayOk) : !(dayOk || weekdayOk)) continue;
+
+    // A DST gap shifts skipped times past later ones, and can map two wall
+    // times onto one instant: sort the day's times and drop repeats.
+    // Wall times well before `from` are skipped, and generation stops once
+    // enough times are found and no later wall time can land before them.
+    const day = [];
+    const found = new Set();
+    let cutoff = Infinity;
+    candidates:
+    for (const h of cron.hours) {
+      for (const m of cron.minutes) {
+        const minutes = h * 60 + m;
+        if (offset === 0 && minutes < start.minutes - DST_MARGIN_MINUTES) continue;
+        if (minutes > cutoff) break candidates;
+        const at = zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), minutes, tz);
+        day.push(at);
+        if (at > from) found.add(at.getTime());
+        if (cutoff === Infinity && found.size >= count - times.length) cutoff = minutes + DST_MARGIN_MINUTES;
+      }
+    }
+    day.sort((a, b) => a - b);
+    for (const at of day) {
+      if (at > from && (times.length === 0 || at > times[times.length - 1])) times.push(at);
+      if (times.length >= count) return times;
+    }
+  }
+  return times;
+}
+
+// ── Validate + canonicalize job.stopPolicy (throws with a user-facing message) ──
+// Returns null when no condition is set (= run until stopped or booked).
+function normalizeStopPolicy(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('stopPolicy must be an object.');
+  const out = {};
+  const set = v => v !== undefined && v !== null && v !== '';
+
+  if (set(input.deadline)) {
+    const at = typeof input.deadline === 'string' ? new Date(input.deadline) : null;
+    if (!at || isNaN(at)) throw new Error('stopPolicy.deadline must be a date and time like 2026-12-01T17:00:00Z.');
+    out.deadline = at.toISOString();
+  }
+  if (set(input.maxRuntimeMinutes)) {
+    const minutes = input.maxRuntimeMinutes;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_RUNTIME_MINUTES) {
+      throw new Error('stopPolicy.maxRuntimeMinutes must be a whole number from 1 to ' + MAX_RUNTIME_MINUTES + '.');
+    }
+    out.maxRuntimeMinutes = minutes;
+  }
+  if (set(input.maxChecks)) {
+    const checks = input.maxChecks;
+    if (!Number.isInteger(checks) || checks < 1 || checks > MAX_CHECKS) {
+      throw new Error('stopPolicy.maxChecks must be a whole number from 1 to ' + MAX_CHECKS + '.');
+    }
+    out.maxChecks = checks;
+  }
+  if (input.stopAfterEndDate !== undefined && input.stopAfterEndDate !== null && typeof input.stopAfterEndDate !== 'boolean') {
+    throw new Error('stopPolicy.stopAfterEndDate must be true or false.');
+  }
+  if (input.stopAfterEndDate) out.stopAfterEndDate = true;
+
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+// ── Why a running job must stop now (null = keep running) ──
+// run: { now: Date, startedAt: ISO, checks, endDate: 'YYYY-MM-DD', today: 'YYYY-MM-DD' }
+function stopPolicyReason(policy, run) {
+  if (!policy) return null;
+  if (policy.deadline && run.now >= new Date(policy.deadline)) {
+    return 'deadline ' + policy.deadline + ' reached';
+  }
+  if (policy.maxRuntimeMinutes && run.startedAt && run.now - new Date(run.startedAt) >= policy.maxRuntimeMinutes * 60000) {
+    return 'ran for the maximum of ' + policy.maxRuntimeMinutes + ' min';
+  }
+  if (policy.maxChecks && run.checks >= policy.maxChecks) {
+    return 'reached the maximum of ' + policy.maxChecks + ' checks';
+  }
+  if (policy.stopAfterEndDate && run.endDate && run.today > run.endDate) {
+    return 'end date ' + run.endDate + ' has passed';
+  }
+  return null;
+}
+
+// ── Earliest moment a time-based condition ends the run (null = none) ──
+function stopPolicyExpiresAt(policy, startedAt) {
+  if (!policy) return null;
+  const times = [];
+  if (policy.deadline) times.push(new Date(policy.deadline));
+  if (policy.maxRuntimeMinutes && startedAt) times.push(new Date(new Date(startedAt).getTime() + policy.maxRuntimeMinutes * 60000));
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+function describeStopPolicy(policy) {
+  if (!policy) return 'none';
+  const parts = [];
+  if (policy.deadline) parts.push('at ' + policy.deadline);
+  if (policy.maxRuntimeMinutes) parts.push('after ' + policy.maxRuntimeMinutes + ' min');
+  if (policy.maxChecks) parts.push('after ' + policy.maxChecks + ' checks');
+  if (policy.stopAfterEndDate) parts.push('once the end date has passed');
+  return parts.join(' · ');
+}
+
+// ── "Mon–Fri 07:00–10:00, Sat 09:00–12:00 (America/Toronto)" ──
+function describeDays(days) {
+  const runs = [];
+  for (const d of days) {
+    const last = runs[runs.length - 1];
+    if (last && d === last[1] + 1) last[1] = d;
+    else runs.push([d, d]);
+  }
+  return runs.map(([a, b]) => a === b ? DAY_NAMES[a] : DAY_NAMES[a] + (b === a + 1 ? ',' : '–') + DAY_NAMES[b]).join(',');
+}
+
+function describeActiveHours(activeHours) {
+  if (!activeHours) return 'always';
+  return activeHours.windows.map(w => describeDays(w.days) + ' ' + w.start + '–' + w.end).join(', ') +
+    ' (' + activeHours.timezone + ')';
+}
+
+module.exports = {
+  normalizeActiveHours,
+  activeWindowAt,
+  nextWindowStart,
+  describeActiveHours,
+  normalizeCronExpression,
+  normalizeCronTimezone,
+  nextCronTimes,
+  normalizeStopPolicy,
+  stopPolicyReason,
+  stopPolicyExpiresAt,
+  describeStopPolicy
+};
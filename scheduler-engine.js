@@ -2,14 +2,25 @@
 // SCHEDULER ENGINE - Puppeteer-based per-job scheduler
 // Uses a real headless Chrome browser for all HTTP requests,
 // giving us authentic TLS fingerprints, headers, and cookies.
+// Has no storage of its own: config comes in through start()
+// and everything that happens goes out as events (see EVENTS).
 // ============================================================
 
-const db = require('./database');
+const { EventEmitter } = require('events');
+const { redact } = require('./redact');
+const { parseGroupPage, addDays } = require('./ais-parser');
+const { localToday, inDateRanges, facilityDateRanges, describeDateRanges, applyDateRules, describeDateRules, pickTime, describeTimePreferences, facilityEntry, orderFacilities, describeFacility } = require('./matching');
+const {
+  activeWindowAt, nextWindowStart, describeActiveHours, nextCronTimes,
+  stopPolicyReason, stopPolicyExpiresAt, describeStopPolicy
+} = require('./run-schedule');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 puppeteer.use(StealthPlugin());
 
 const BASE_URL = 'https://ais.usvisa-info.com';
+const MAX_OFFER_DATES = 3;                  // dates per facility whose times are listed as offers
+const MANUAL_BOOKING_PICKUP_MS = 60 * 1000; // a dashboard booking must start within this
 
 // ── Fingerprint pool ──
 // Each entry is a realistic, internally-consistent browser identity.
@@ -143,8 +154,28 @@ async function loadModules() {
   // No-op — puppeteer is loaded via require()
 }
 
-class SchedulerInstance {
+// ── Events emitted by SchedulerInstance (payloads) ──
+//   log              { level, message }
+//   state            job fields to persist: status, lastError, startedAt, health counters, booked*,
+//                    account details (currentAppointment*, applicants, visaClass, accountCheckedAt)
+//   locations        { locations: [{ id, name }] }          — fetched from the appointment page
+//   cycle.start      { cycle }
+//   cycle.end        { cycle, result }                       — CONTINUE, BOOKED, RESCHEDULED, STOPPED, IP_BLOCKED, ...
+//   dates.seen       { facilityId, facility, dates, matching } — matching = dates the job would book
+//   booking.attempt  { facilityId, facility, date }
+//   booking.result   { facilityId, facility, date, time, success, verified, reason, previousDate }
+//                                                              — previousDate: appointment replaced (reschedule mode)
+//   block.detected   { reason: 'ip' | 'account', cooldownMinutes, blockCount }
+//   relogin          { reason, ok, error }
+//   fatal            { error }                               — the job could not start and has ended
+const EVENTS = [
+  'log', 'state', 'locations', 'cycle.start', 'cycle.end', 'dates.seen',
+  'booking.attempt', 'booking.result', 'block.detected', 'relogin', 'expired', 'fatal'
+];
+
+class SchedulerInstance extends EventEmitter {
   constructor(jobId) {
+    super();
     this.jobId = jobId;
     this.running = false;
     this.stopping = false;
@@ -152,6 +183,12 @@ class SchedulerInstance {
     this.csrfToken = null;
     this.config = null;
     this.loopPromise = null;
+    this.locationNames = {}; // facility id → name
+    this.ascFacilities = null; // [{ id, name }] ASC posts on the appointment page (null = not read yet)
+    this.offers = {}; // facility id → [{ date, times, foundAt }] found while autoBook is off
+    this._manualBooking = null; // booking requested from the dashboard, run by the loop
+    this._wakeCycleWait = null;
+    this.currentAppointment = null; // { date, time, location } read from the group page
 
     // Pick a unique fingerprint for this instance (stays constant for its lifetime)
     this.fingerprint = pickFingerprint();
@@ -174,31 +211,43 @@ class SchedulerInstance {
     };
   }
 
+  // ── Emit without letting a failing listener break the scheduler ──
+  publish(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (err) {
+      console.error('[Job:' + this.jobId + '] "' + event + '" listener failed: ' + err.message);
+    }
+  }
+
   // ── Logging ──
+  // Stored logs are redacted by whoever persists them; stdout is redacted here
   log(level, msg) {
     const ts = new Date().toISOString();
     const prefixes = { debug: '🔍', info: 'ℹ️', success: '✅', warn: '⚠️', error: '❌' };
     if (level !== 'debug') {
-      console.log('[' + ts + '] [Job:' + this.jobId + '] ' + (prefixes[level] || '') + ' ' + msg);
+      const secrets = this.config && this.config.password ? [this.config.password] : [];
+      console.log('[' + ts + '] [Job:' + this.jobId + '] ' + (prefixes[level] || '') + ' ' + redact(msg, secrets));
     }
-    try {
-      db.addLog(this.jobId, level, msg);
-    } catch (e) { /* ignore DB errors in logging */ }
+    this.publish('log', { level, message: msg });
+  }
+
+  // ── Job fields that changed (status, errors, booking) ──
+  setState(fields) {
+    this.publish('state', fields);
   }
 
-  // ── Sync health to DB ──
+  // ── Publish health counters ──
   syncHealth() {
-    try {
-      db.updateJob(this.jobId, {
-        totalChecks: this.health.totalChecks,
-        successfulChecks: this.health.successfulChecks,
-        failedChecks: this.health.failedChecks,
-        consecutiveFailures: this.health.consecutiveFailures,
-        reloginCount: this.health.reloginCount,
-        lastError: this.health.lastError,
-        lastCheckAt: this.health.lastCheckAt
-      });
-    } catch (e) { /* ignore */ }
+    this.setState({
+      totalChecks: this.health.totalChecks,
+      successfulChecks: this.health.successfulChecks,
+      failedChecks: this.health.failedChecks,
+      consecutiveFailures: this.health.consecutiveFailures,
+      reloginCount: this.health.reloginCount,
+      lastError: this.health.lastError,
+      lastCheckAt: this.health.lastCheckAt
+    });
   }
 
   sleep(ms) {
@@ -483,6 +532,17 @@ class SchedulerInstance {
     return true;
   }
 
+  // ── Log in again after the session was lost; reported as a relogin event ──
+  async relogin(reason) {
+    try {
+      await this.login();
+      this.publish('relogin', { reason, ok: true, error: null });
+    } catch (err) {
+      this.publish('relogin', { reason, ok: false, error: err.message });
+      throw err;
+    }
+  }
+
   // ============================================================
   // FETCH LOCATIONS — parse the appointment page
   // ============================================================
@@ -505,18 +565,9 @@ class SchedulerInstance {
     // Refresh CSRF from appointment page
     await this.extractCsrf();
 
-    // Extract locations from select dropdown
-    const locations = await this.page.evaluate(() => {
-      const select = document.querySelector('select[name="appointments[consulate_appointment][facility_id]"]');
-      if (!select) return [];
-      const options = [];
-      select.querySelectorAll('option').forEach(opt => {
-        const val = opt.value ? opt.value.trim() : '';
-        const name = opt.textContent ? opt.textContent.trim() : '';
-        if (val) options.push({ id: val, name: name });
-      });
-      return options;
-    });
+    // Extract locations from the consulate and ASC (biometrics) dropdowns
+    const locations = await this.readSelectOptions('appointments[consulate_appointment][facility_id]');
+    this.ascFacilities = await this.readSelectOptions('appointments[asc_appointment][facility_id]');
 
     if (locations.length === 0) {
       const html = await this.page.content();
@@ -526,12 +577,74 @@ class SchedulerInstance {
     }
 
     if (locations.length > 0) {
-      db.cacheLocations(this.jobId, locations);
+      for (const loc of [...locations, ...this.ascFacilities]) this.locationNames[loc.id] = loc.name;
+      this.publish('locations', { locations, ascLocations: this.ascFacilities });
     }
 
     return locations;
   }
 
+  // Options of a <select> on the current page → [{ id, name }] (empty when the select is missing)
+  async readSelectOptions(selectName) {
+    return this.page.evaluate((name) => {
+      const select = document.querySelector('select[name="' + name + '"]');
+      if (!select) return [];
+      const options = [];
+      select.querySelectorAll('option').forEach(opt => {
+        const val = opt.value ? opt.value.trim() : '';
+        const label = opt.textContent ? opt.textContent.trim() : '';
+        if (val) options.push({ id: val, name: label });
+      });
+      return options;
+    }, selectName);
+  }
+
+  // ============================================================
+  // ACCOUNT DETAILS — current appointment + applicants from the group page
+  // Reschedule mode only books dates that beat the current appointment.
+  // ============================================================
+  async fetchAccountDetails() {
+    const url = BASE_URL + '/' + this.config.country + '/niv/groups/' + this.config.scheduleId;
+    try {
+      await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.sleep(1000 + Math.random() * 1000);
+    } catch (err) {
+      throw new Error('Could not load group page: ' + err.message);
+    }
+    if (this.page.url().includes('sign_in')) {
+      throw new Error('SESSION_EXPIRED');
+    }
+
+    const details = parseGroupPage(await this.page.content(), this.config.scheduleId);
+
+    // Keep what we knew if this read came back partial
+    const fields = { accountCheckedAt: new Date().toISOString() };
+    if (details.appointment) {
+      this.currentAppointment = details.appointment;
+      fields.currentAppointmentDate = details.appointment.date;
+      fields.currentAppointmentTime = details.appointment.time;
+      fields.currentAppointmentLocation = details.appointment.location;
+    }
+    if (details.applicants.length > 0) {
+      fields.applicants = details.applicants;
+      fields.visaClass = details.visaClass;
+    }
+    this.setState(fields);
+    return details;
+  }
+
+  async fetchCurrentAppointment() {
+    const details = await this.fetchAccountDetails();
+    if (!details.appointment) throw new Error('No current appointment found on the group page');
+    return details.appointment;
+  }
+
+  // ── Latest date that still counts as an improvement (null = current appointment unknown) ──
+  improvementCutoff() {
+    if (!this.currentAppointment) return null;
+    return addDays(this.currentAppointment.date, -this.config.minImprovementDays);
+  }
+
   // ============================================================
   // NAVIGATE TO APPOINTMENT PAGE (shared helper)
   // Ensures we're on the appointment page with a fresh CSRF.
@@ -574,6 +687,7 @@ class SchedulerInstance {
     } catch (e) {
       throw new Error('Appointment page did not load properly (no facility dropdown)');
     }
+    this.ascFacilities = await this.readSelectOptions('appointments[asc_appointment][facility_id]');
   }
 
   // ============================================================
@@ -600,6 +714,10 @@ class SchedulerInstance {
         if (url.includes('/appointment/days/') && url.includes('.json')) {
           clearTimeout(timeout);
           this.page.off('response', handler);
+          if (this.config.expedite && !decodeURIComponent(url).includes('appointments[expedite]=true') && !this._expediteWarned) {
+            this._expediteWarned = true;
+            this.log('warn', '⚡ The page looked up regular (not expedite) dates — check that the expedite request is approved on AIS.');
+          }
           try {
             const status = response.status();
             if (status === 401 || status === 403) {
@@ -626,16 +744,20 @@ class SchedulerInstance {
 
     // Select the facility from the dropdown (like a real user)
     this.log('debug', 'Selecting facility ' + facilityId + ' from dropdown...');
-    const selectResult = await this.page.evaluate((facId) => {
+    const selectResult = await this.page.evaluate((facId, expedite) => {
       const sel = document.querySelector('#appointments_consulate_appointment_facility_id');
       if (!sel) return { error: 'no_select' };
+      // The page's own expedite field decides which dates its days lookup asks for
+      const exp = document.querySelector('[name="appointments[expedite]"]');
+      if (exp && exp.type === 'checkbox') exp.checked = expedite;
+      else if (exp) exp.value = expedite ? 'true' : 'false';
       // Check if the option exists
       const optExists = Array.from(sel.options).some(o => o.value === String(facId));
       if (!optExists) return { error: 'option_not_found' };
       sel.value = String(facId);
       sel.dispatchEvent(new Event('change', { bubbles: true }));
       return { ok: true };
-    }, facilityId);
+    }, facilityId, !!this.config.expedite);
 
     if (selectResult.error === 'no_select') throw new Error('Facility dropdown not found on page');
     if (selectResult.error === 'option_not_found') throw new Error('Facility ' + facilityId + ' not in dropdown');
@@ -713,6 +835,11 @@ class SchedulerInstance {
     return [];
   }
 
+  // Query flag for the days/times lookups
+  expediteParam() {
+    return 'appointments[expedite]=' + (this.config.expedite ? 'true' : 'false');
+  }
+
   // ============================================================
   // CHECK TIMES — direct API call (fastest possible)
   // Hits the times JSON endpoint directly via in-browser fetch.
@@ -721,7 +848,7 @@ class SchedulerInstance {
   async checkTimes(facilityId, date) {
     const timesUrl = BASE_URL + '/' + this.config.country + '/niv/schedule/' +
       this.config.scheduleId + '/appointment/times/' + facilityId +
-      '.json?date=' + date + '&appointments[expedite]=false';
+      '.json?date=' + date + '&' + this.expediteParam();
 
     this.log('debug', 'Fetching times for facility ' + facilityId + ' date ' + date + '...');
 
@@ -773,11 +900,61 @@ class SchedulerInstance {
     return times;
   }
 
+  // ============================================================
+  // ASC (BIOMETRICS) SLOT
+  // Posts that take fingerprints separately need an ASC appointment
+  // booked together with the consular one, on an earlier day.
+  // ============================================================
+  // ASC facility to book with; null when the post has no ASC appointment
+  ascFacilityId() {
+    if (this.config.ascFacilityId) return this.config.ascFacilityId;
+    return this.ascFacilities && this.ascFacilities.length > 0 ? this.ascFacilities[0].id : null;
+  }
+
+  async fetchAscJson(url) {
+    const resp = await this.browserFetch(url, {
+      headers: {
+        'Accept': 'application/json, text/javascript, */*; q=0.01',
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(this.csrfToken ? { 'X-CSRF-Token': this.csrfToken } : {})
+      }
+    }, 1);
+    if (resp.status === 401 || resp.status === 403) throw new Error('SESSION_EXPIRED');
+    if (!resp.ok) throw new Error('ASC lookup returned HTTP ' + resp.status);
+    return JSON.parse(resp.text);
+  }
+
+  // Latest ASC day before the consular date that still has a time → { facilityId, date, time } or null
+  async findAscSlot(facilityId, date, time) {
+    const ascId = this.ascFacilityId();
+    const base = BASE_URL + '/' + this.config.country + '/niv/schedule/' + this.config.scheduleId + '/appointment';
+    const consulate = 'consulate_id=' + facilityId + '&consulate_date=' + date +
+      '&consulate_time=' + encodeURIComponent(time) + '&' + this.expediteParam();
+
+    const days = await this.fetchAscJson(base + '/days/' + ascId + '.json?' + consulate);
+    const ascDates = (Array.isArray(days) ? days : [])
+      .filter(d => d.business_day !== false && d.date < date)
+      .map(d => d.date)
+      .sort()
+      .reverse();
+    this.log('debug', 'ASC ' + ascId + ': ' + ascDates.length + ' day(s) before ' + date);
+
+    for (const ascDate of ascDates.slice(0, 3)) {
+      const data = await this.fetchAscJson(base + '/times/' + ascId + '.json?date=' + ascDate + '&' + consulate);
+      const times = (data && data.available_times) ? data.available_times : (Array.isArray(data) ? data : []);
+      if (times.length > 0) return { facilityId: ascId, date: ascDate, time: times[0] };
+    }
+    return null;
+  }
+
   // ============================================================
   // BOOK APPOINTMENT — direct API call with built-in retry
-  // Fetches available times via API, picks the first slot,
-  // and POSTs the booking form. Retries up to 3 times with
-  // 2-second intervals for maximum speed.
+  // Fetches available times via API, picks a slot (job's time
+  // preferences, else the first one), adds an ASC slot where the
+  // post needs one, and POSTs the booking form (dry run: records
+  // the form instead of sending it).
+  // Retries up to 3 times with short intervals for maximum speed;
+  // gives up at once when no slot fits the time preferences.
   // ============================================================
   async bookAppointment(facilityId, date, time, attemptNum) {
     attemptNum = attemptNum || 1;
@@ -803,7 +980,7 @@ class SchedulerInstance {
         // Step 1: Fetch available times via API
         const timesUrl = BASE_URL + '/' + this.config.country + '/niv/schedule/' +
           this.config.scheduleId + '/appointment/times/' + facilityId +
-          '.json?date=' + date + '&appointments[expedite]=false';
+          '.json?date=' + date + '&' + this.expediteParam();
 
         const timesResult = await this.page.evaluate(async (url, csrf) => {
           const headers = {
@@ -844,21 +1021,44 @@ class SchedulerInstance {
           return { success: false, verified: false, reason: 'No time slots available', date, time: null, facilityId };
         }
 
-        const selectedTime = time || availableTimes[0];
-        this.log('info', '⏰ Selected time: ' + selectedTime + ' (from ' + availableTimes.length + ' slots)');
+        const pick = time ? { time, reason: 'requested' } : pickTime(availableTimes, this.config.timePreferences);
+        if (!pick.time) {
+          this.log('warn', '⏰ No slot on ' + date + ' fits the time preferences (' + pick.reason + ') — skipping date');
+          return { success: false, verified: false, reason: 'No time slot fits the time preferences', date, time: null, facilityId };
+        }
+        const selectedTime = pick.time;
+        this.log('info', '⏰ Selected time: ' + selectedTime + ' (from ' + availableTimes.length + ' slots: ' + pick.reason + ')');
+
+        // Step 1b: ASC appointment, where the post takes biometrics separately
+        let asc = null;
+        if (this.ascFacilityId()) {
+          asc = await this.findAscSlot(facilityId, date, selectedTime);
+          if (!asc) {
+            this.log('warn', '🖐️ No ASC appointment before ' + date + ' — skipping date');
+            return { success: false, verified: false, reason: 'No ASC appointment before the consular date', date, time: selectedTime, facilityId };
+          }
+          this.log('info', '🖐️ ASC slot: ' + asc.date + ' ' + asc.time + ' at ' + (this.locationNames[asc.facilityId] || asc.facilityId));
+        }
 
         // Step 2: POST booking via API
         const bookUrl = BASE_URL + '/' + this.config.country + '/niv/schedule/' +
           this.config.scheduleId + '/appointment';
 
-        const bookResult = await this.page.evaluate(async (url, csrf, facId, bookDate, bookTime) => {
+        // Dry run: refresh the CSRF token like a retry would, then stop short of the POST
+        if (this.config.dryRun) {
+          await this.ensureOnAppointmentPage();
+          await this.extractCsrf();
+          const form = this.bookingForm(String(facilityId), date, selectedTime, asc)
+            .map(([key, value]) => [key, key === 'authenticity_token' ? '[redacted]' : value]);
+          this.log('success', '🧪 DRY RUN — would have booked ' + date + ' ' + selectedTime + ' at facility ' + facilityId +
+            (asc ? ' (ASC ' + asc.date + ' ' + asc.time + ')' : '') + (this.csrfToken ? '' : ' — no CSRF token found!'));
+          return { success: false, verified: false, dryRun: true, reason: 'Dry run', date, time: selectedTime, facilityId, asc,
+            request: { url: bookUrl, form: Object.fromEntries(form) } };
+        }
+
+        const bookResult = await this.page.evaluate(async (url, csrf, fields) => {
           const params = new URLSearchParams();
-          params.append('utf8', '\u2713');
-          if (csrf) params.append('authenticity_token', csrf);
-          params.append('appointments[consulate_appointment][facility_id]', facId);
-          params.append('appointments[consulate_appointment][date]', bookDate);
-          params.append('appointments[consulate_appointment][time]', bookTime);
-          params.append('confirmed', 'Confirm');
+          for (const [key, value] of fields) params.append(key, value);
 
           const headers = {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -894,7 +1094,7 @@ class SchedulerInstance {
           } catch (e) {
             return { error: e.message || 'fetch failed' };
           }
-        }, bookUrl, this.csrfToken, String(facilityId), date, selectedTime);
+        }, bookUrl, this.csrfToken, this.bookingForm(String(facilityId), date, selectedTime, asc));
 
         if (bookResult.error) {
           this.log('warn', 'Booking POST failed (attempt #' + attempt + '): ' + bookResult.error);
@@ -905,7 +1105,7 @@ class SchedulerInstance {
         // Check result
         if (bookResult.hasSuccess || bookResult.hasInstructions || bookResult.redirected) {
           this.log('success', '🎉 BOOKING VERIFIED! (attempt #' + attempt + ')');
-          return { success: true, verified: true, date, time: selectedTime, facilityId };
+          return { success: true, verified: true, date, time: selectedTime, facilityId, asc };
         }
 
         if (bookResult.hasSignIn) {
@@ -942,7 +1142,7 @@ class SchedulerInstance {
         // Ambiguous but got response — might have worked
         if (bookResult.ok || bookResult.redirected) {
           this.log('warn', '⚠️ Ambiguous response but HTTP OK (attempt #' + attempt + ') — treating as potential success');
-          return { success: true, verified: false, date, time: selectedTime, facilityId, note: 'Response received - please verify booking' };
+          return { success: true, verified: false, date, time: selectedTime, facilityId, asc, note: 'Response received - please verify booking' };
         }
 
         this.log('warn', '⚠️ Unclear result (attempt #' + attempt + ')');
@@ -959,20 +1159,49 @@ class SchedulerInstance {
     return { success: false, verified: false, reason: 'All attempts exhausted', date, time: null, facilityId };
   }
 
+  // Fields of the booking POST, in form order → [[name, value], ...]
+  bookingForm(facilityId, date, time, asc) {
+    const fields = [['utf8', '\u2713']];
+    if (this.csrfToken) fields.push(['authenticity_token', this.csrfToken]);
+    fields.push(
+      ['appointments[consulate_appointment][facility_id]', facilityId],
+      ['appointments[consulate_appointment][date]', date],
+      ['appointments[consulate_appointment][time]', time]
+    );
+    if (asc) {
+      fields.push(
+        ['appointments[asc_appointment][facility_id]', asc.facilityId],
+        ['appointments[asc_appointment][date]', asc.date],
+        ['appointments[asc_appointment][time]', asc.time]
+      );
+    }
+    if (this.config.expedite) fields.push(['appointments[expedite]', 'true']);
+    fields.push(['confirmed', 'Confirm']);
+    return fields;
+  }
+
   // ============================================================
   // DATE FILTERING
   // ============================================================
-  filterDatesInRange(dates) {
-    const start = new Date(this.config.startDate);
-    const end = new Date(this.config.endDate);
-    return dates
+  // Business days inside the job's date ranges that its date rules allow.
+  // A facility's own startDate/endDate replaces the job's ranges.
+  filterDatesInRange(dates, facility) {
+    const ranges = facilityDateRanges(facility, this.config.dateRanges);
+    const inRange = dates
       .filter(d => d.business_day)
       .map(d => d.date)
-      .filter(dateStr => {
-        const d = new Date(dateStr);
-        return d >= start && d <= end;
-      })
+      .filter(dateStr => inDateRanges(dateStr, ranges))
       .sort();
+    return applyDateRules(inRange, this.config.dateRules);
+  }
+
+  // Reschedule mode: only dates at least minImprovementDays before the current appointment.
+  // Nothing qualifies while the current appointment is unknown.
+  filterImprovements(dateStrs) {
+    if (!this.config.rescheduleMode) return dateStrs;
+    const cutoff = this.improvementCutoff();
+    if (!cutoff) return [];
+    return dateStrs.filter(d => d <= cutoff);
   }
 
   // ============================================================
@@ -980,6 +1209,14 @@ class SchedulerInstance {
   // ============================================================
   async runCheckCycle() {
     if (!this.running) return 'STOPPED';
+    const cycle = this.health.totalChecks + 1;
+    this.publish('cycle.start', { cycle });
+    const result = await this._checkFacilities();
+    this.publish('cycle.end', { cycle, result });
+    return result;
+  }
+
+  async _checkFacilities() {
 
     this.health.totalChecks++;
     this.health.lastCheckAt = new Date().toISOString();
@@ -988,21 +1225,29 @@ class SchedulerInstance {
     let lastError = null;
     let noAjaxFacilityCount = 0;
 
-    const facilityIds = this.config.facilityIds;
-    if (!facilityIds || facilityIds.length === 0) {
+    // Highest priority first, so its match is booked before lower-priority facilities are checked
+    const facilities = orderFacilities(this.config.facilityIds);
+    if (facilities.length === 0) {
       this.log('warn', 'No facility IDs configured. Skipping cycle.');
       return 'CONTINUE';
     }
 
-    // Get location names from cache
-    const cachedLocs = db.getCachedLocations(this.jobId);
-    const locationMap = {};
-    cachedLocs.forEach(l => { locationMap[l.id] = l.name; });
+    const locationMap = this.locationNames;
 
-    for (let i = 0; i < facilityIds.length; i++) {
+    if (this.config.rescheduleMode && !this.currentAppointment) {
+      try {
+        await this.fetchCurrentAppointment();
+        this.log('info', '📅 Current appointment: ' + this.currentAppointment.date + ' — booking only dates on or before ' + this.improvementCutoff());
+      } catch (err) {
+        this.log('warn', 'Current appointment unknown (' + err.message + ') — nothing will be booked this cycle.');
+      }
+    }
+
+    for (let i = 0; i < facilities.length; i++) {
       if (!this.running) return 'STOPPED';
 
-      const facId = facilityIds[i];
+      const facility = facilities[i];
+      const facId = facility.id;
       const facName = locationMap[facId] || ('Facility ' + facId);
 
       // Human-like pause between facility checks (not needed for the first one)
@@ -1017,74 +1262,57 @@ class SchedulerInstance {
         anySuccess = true;
         socketFailCount = 0; // reset on success
         if (!this._lastFacilityHadAjax) noAjaxFacilityCount++;
-        const matching = this.filterDatesInRange(dates);
+        const matching = this.filterImprovements(this.filterDatesInRange(dates, facility));
+        this.publish('dates.seen', { facilityId: facId, facility: facName, dates: dates.map(d => d.date), matching });
 
         if (matching.length > 0) {
           this.log('success', '🎯 ' + facName + ': ' + matching.length + ' date(s) in range! → ' + matching.slice(0, 5).join(', '));
 
-          if (this.config.autoBook) {
+          if (this.config.autoBook || this.config.dryRun) {
             let booked = false;
-            for (let d = 0; d < Math.min(matching.length, 3) && !booked; d++) {
+            let rehearsed = false; // dry run: one recorded booking per facility and cycle
+            for (let d = 0; d < Math.min(matching.length, 3) && !booked && !rehearsed; d++) {
               const targetDate = matching[d];
               if (!this.running) return 'STOPPED';
               try {
                 // bookAppointment handles: fetch times → pick first → POST → retry 3x with 2s intervals
+                this.publish('booking.attempt', { facilityId: facId, facility: facName, date: targetDate });
                 const result = await this.bookAppointment(facId, targetDate);
-
-                if (result.success && result.verified) {
-                  this.log('success', '═══════════════════════════════════════════');
-                  this.log('success', '  🎉 APPOINTMENT BOOKED & VERIFIED!');
-                  this.log('success', '  Location: ' + facName);
-                  this.log('success', '  Date: ' + result.date);
-                  this.log('success', '  Time: ' + result.time);
-                  this.log('success', '═══════════════════════════════════════════');
+                const settled = await this._settleBooking(facId, facName, result);
+                if (settled === 'DRY_RUN') {
+                  rehearsed = true;
+                } else if (settled) {
                   booked = true;
-
-                  db.updateJob(this.jobId, {
-                    status: 'booked',
-                    bookedDate: result.date,
-                    bookedTime: result.time,
-                    bookedFacility: facName + ' (' + facId + ')',
-                    bookedAt: new Date().toISOString()
-                  });
-
-                  return 'BOOKED';
-                } else if (result.success && !result.verified) {
-                  // Ambiguous success — still treat as booked but flag it
-                  this.log('warn', '⚠️ Booking may have succeeded (unverified) — ' + (result.note || result.reason || ''));
-                  booked = true;
-
-                  db.updateJob(this.jobId, {
-                    status: 'booked',
-                    bookedDate: result.date,
-                    bookedTime: result.time,
-                    bookedFacility: facName + ' (' + facId + ')',
-                    bookedAt: new Date().toISOString(),
-                    lastError: 'Unverified — please confirm manually'
-                  });
-
-                  return 'BOOKED';
-                } else {
-                  this.log('warn', 'Booking failed for ' + targetDate + ': ' + (result.reason || 'unknown'));
-                  if (result.reason && result.reason.includes('Session expired')) {
-                    await this.login();
-                  }
+                  return settled;
+                } else if (result.reason && result.reason.includes('Session expired')) {
+                  await this.relogin('session_expired');
                 }
               } catch (bookErr) {
                 this.log('error', 'Booking error for ' + targetDate + ': ' + bookErr.message);
+                this.publish('booking.result', {
+                  facilityId: facId, facility: facName, date: targetDate, time: null,
+                  success: false, verified: false, reason: bookErr.message
+                });
                 if (bookErr.message === 'SESSION_EXPIRED') {
-                  try { await this.login(); } catch (e) { this.log('error', 'Re-login failed: ' + e.message); }
+                  try { await this.relogin('session_expired'); } catch (e) { this.log('error', 'Re-login failed: ' + e.message); }
                 }
               }
             }
-            if (!booked) {
+            if (!booked && !rehearsed) {
               this.log('warn', '⚠️ All booking attempts failed for ' + facName);
             }
+          } else {
+            await this._recordOffers(facId, facName, matching);
           }
         } else {
+          this._dropOffers(facId);
           const total = dates.length;
           const nearest = dates.length > 0 ? dates[0].date : 'none';
-          this.log('info', facName + ': ' + total + ' total dates, 0 in range. Nearest: ' + nearest);
+          if (this.config.rescheduleMode && this.currentAppointment) {
+            this.log('info', facName + ': ' + total + ' total dates, none on or before ' + this.improvementCutoff() + '. Nearest: ' + nearest);
+          } else {
+            this.log('info', facName + ': ' + total + ' total dates, 0 in range. Nearest: ' + nearest);
+          }
         }
 
       } catch (err) {
@@ -1093,9 +1321,9 @@ class SchedulerInstance {
         // ── Socket hang-up / connection reset — possible IP-level block ──
         if (err._isSocketError && err._retriesExhausted) {
           socketFailCount++;
-          this.log('warn', facName + ': socket error after all retries (' + socketFailCount + '/' + facilityIds.length + ' facilities affected)');
+          this.log('warn', facName + ': socket error after all retries (' + socketFailCount + '/' + facilities.length + ' facilities affected)');
 
-          if (socketFailCount >= facilityIds.length) {
+          if (socketFailCount >= facilities.length) {
             this.log('error', '🚫 ALL facilities returning socket errors — IP-level block detected.');
             this.health.failedChecks++;
             this.health.consecutiveFailures++;
@@ -1115,7 +1343,7 @@ class SchedulerInstance {
         if (err.message === 'SESSION_EXPIRED') {
           this.log('warn', 'Session expired. Re-logging in...');
           try {
-            await this.login();
+            await this.relogin('session_expired');
             i--;
             continue;
           } catch (loginErr) {
@@ -1135,11 +1363,11 @@ class SchedulerInstance {
     // ── Detect API/account block via missing AJAX responses ──
     // If every facility in this cycle fell back to DOM (no AJAX fired at all),
     // it strongly suggests the account is being blocked from the scheduling API.
-    if (noAjaxFacilityCount > 0 && noAjaxFacilityCount >= facilityIds.length) {
+    if (noAjaxFacilityCount > 0 && noAjaxFacilityCount >= facilities.length) {
       this._consecutiveNoAjaxCycles++;
       this.log('warn',
         '⚠️ No AJAX response from ANY facility this cycle (' +
-        noAjaxFacilityCount + '/' + facilityIds.length + '). ' +
+        noAjaxFacilityCount + '/' + facilities.length + '). ' +
         'Consecutive no-API cycles: ' + this._consecutiveNoAjaxCycles + '/3.');
       if (this._consecutiveNoAjaxCycles >= 3) {
         this.health.failedChecks++;
@@ -1172,49 +1400,165 @@ class SchedulerInstance {
     return 'CONTINUE';
   }
 
+  // ── What a booking attempt means for the job ──
+  // Returns 'BOOKED', 'RESCHEDULED', 'DRY_RUN', or null when it failed
+  // (logged and published here; the caller decides whether to retry).
+  async _settleBooking(facId, facName, result) {
+    const outcome = {
+      facilityId: facId,
+      facility: facName,
+      date: result.date,
+      time: result.time || null,
+      success: !!result.success,
+      verified: !!result.verified,
+      reason: result.note || result.reason || null,
+      asc: result.asc || null
+    };
+
+    if (result.dryRun) {
+      this.setState({
+        lastDryRun: {
+          at: new Date().toISOString(),
+          facilityId: facId,
+          facility: facName,
+          date: result.date,
+          time: result.time,
+          asc: result.asc || null,
+          request: result.request
+        }
+      });
+      return 'DRY_RUN';
+    }
+
+    if (!result.success) {
+      this.publish('booking.result', outcome);
+      this.log('warn', 'Booking failed for ' + result.date + ': ' + (result.reason || 'unknown'));
+      return null;
+    }
+
+    if (result.verified) {
+      this.log('success', '═══════════════════════════════════════════');
+      this.log('success', '  🎉 APPOINTMENT BOOKED & VERIFIED!');
+      this.log('success', '  Location: ' + facName);
+      this.log('success', '  Date: ' + result.date);
+      this.log('success', '  Time: ' + result.time);
+      if (result.asc) this.log('success', '  ASC: ' + result.asc.date + ' ' + result.asc.time + ' at ' + (this.locationNames[result.asc.facilityId] || result.asc.facilityId));
+      this.log('success', '═══════════════════════════════════════════');
+    } else {
+      // Ambiguous success — still treat as booked but flag it
+      this.log('warn', '⚠️ Booking may have succeeded (unverified) — ' + (result.note || result.reason || ''));
+    }
+    this._clearOffers();
+    if (this.config.rescheduleMode) return this._rescheduled(facId, facName, result, outcome);
+
+    this.setState({
+      status: 'booked',
+      ...this.bookedFields(facId, facName, result),
+      ...(result.verified ? {} : { lastError: 'Unverified — please confirm manually' })
+    });
+    this.publish('booking.result', outcome);
+    return 'BOOKED';
+  }
+
+  // ── Job fields describing a successful booking ──
+  bookedFields(facId, facName, result) {
+    const asc = result.asc;
+    return {
+      bookedDate: result.date,
+      bookedTime: result.time,
+      bookedFacility: facName + ' (' + facId + ')',
+      bookedAscDate: asc ? asc.date : null,
+      bookedAscTime: asc ? asc.time : null,
+      bookedAscFacility: asc ? (this.locationNames[asc.facilityId] || 'ASC') + ' (' + asc.facilityId + ')' : null,
+      bookedAt: new Date().toISOString()
+    };
+  }
+
+  // ── Reschedule mode: the booking replaced the old appointment — raise the bar and keep going ──
+  async _rescheduled(facId, facName, result, outcome) {
+    const previousDate = this.currentAppointment ? this.currentAppointment.date : null;
+    try {
+      await this.fetchCurrentAppointment();
+    } catch (err) {
+      this.log('warn', 'Could not re-read the current appointment (' + err.message + ') — assuming ' + result.date + '.');
+      this.currentAppointment = { date: result.date, time: result.time || null, location: facName };
+    }
+
+    const fields = {
+      ...this.bookedFields(facId, facName, result),
+      currentAppointmentDate: this.currentAppointment.date,
+      currentAppointmentTime: this.currentAppointment.time,
+      currentAppointmentLocation: this.currentAppointment.location
+    };
+    if (!result.verified) fields.lastError = 'Unverified — please confirm manually';
+    this.setState(fields);
+    this.publish('booking.result', { ...outcome, previousDate });
+
+    this.log('success', '🔁 Rescheduled ' + (previousDate || '?') + ' → ' + this.currentAppointment.date +
+      '. Now looking for dates on or before ' + this.improvementCutoff() + '.');
+    return 'RESCHEDULED';
+  }
+
   // ============================================================
   // START — main entry point
+  // config: credentials + job settings (JobManager.buildEngineConfig);
+  // config.locations (optional) seeds facility names until fetched.
   // ============================================================
-  async start() {
+  async start(config) {
     if (this.running) {
       this.log('warn', 'Already running.');
       return;
     }
+    if (!config) throw new Error('SchedulerInstance.start() needs a config.');
 
     await loadModules();
 
-    // Reload config from DB
-    const job = db.getJob(this.jobId);
-    if (!job) {
-      this.log('error', 'Job not found in database.');
-      return;
-    }
-
     this.config = {
-      email: job.email,
-      password: job.password,
-      scheduleId: job.scheduleId,
-      country: job.country,
-      facilityIds: job.facilityIds,
-      startDate: job.startDate,
-      endDate: job.endDate,
-      checkIntervalSeconds: job.checkIntervalSeconds,
-      intervalSchedule: job.intervalSchedule || [],
-      autoBook: job.autoBook,
-      maxReloginAttempts: job.maxReloginAttempts,
-      requestTimeoutMs: job.requestTimeoutMs,
-      maxRetries: job.maxRetries
+      email: config.email,
+      password: config.password,
+      scheduleId: config.scheduleId,
+      country: config.country || 'en-ca',
+      facilityIds: (config.facilityIds || []).map(facilityEntry),
+      startDate: config.startDate,
+      endDate: config.endDate,
+      dateRanges: config.dateRanges || [{ start: config.startDate, end: config.endDate }],
+      checkIntervalSeconds: config.checkIntervalSeconds || 30,
+      intervalSchedule: config.intervalSchedule || [],
+      cronExpression: config.cronExpression || null,
+      cronTimezone: config.cronTimezone || 'UTC',
+      autoBook: config.autoBook !== false,
+      dateRules: config.dateRules || null,
+      timePreferences: config.timePreferences || null,
+      activeHours: config.activeHours || null,
+      stopPolicy: config.stopPolicy || null,
+      ascFacilityId: config.ascFacilityId || null,
+      expedite: !!config.expedite,
+      dryRun: !!config.dryRun,
+      rescheduleMode: !!config.rescheduleMode,
+      minImprovementDays: config.minImprovementDays || 1,
+      maxReloginAttempts: config.maxReloginAttempts || 5,
+      requestTimeoutMs: config.requestTimeoutMs || 20000,
+      maxRetries: config.maxRetries || 3
     };
+    for (const loc of config.locations || []) this.locationNames[loc.id] = loc.name;
 
+    this.currentAppointment = null;
+    this._activeUntil = null;
+    this._expediteWarned = false;
+    this.offers = {};
     this.running = true;
     this.stopping = false;
     this.health.startedAt = new Date().toISOString();
 
-    db.updateJob(this.jobId, { status: 'running', startedAt: this.health.startedAt });
+    this.setState({ status: 'running', startedAt: this.health.startedAt, activeUntil: null, nextWakeAt: null, stopReason: null, pendingOffers: [] });
     this.log('info', '🚀 Starting scheduler for ' + this.config.email + ' (Puppeteer mode)');
     
     // Log interval configuration
-    if (this.config.intervalSchedule && this.config.intervalSchedule.length > 0) {
+    if (this.config.cronExpression) {
+      const upcoming = nextCronTimes(this.config.cronExpression, this.config.cronTimezone, new Date(), 3);
+      this.log('info', '⏱️ Cron schedule: ' + this.config.cronExpression + ' (' + this.config.cronTimezone + ') — next: ' +
+        upcoming.map(d => d.toISOString()).join(', '));
+    } else if (this.config.intervalSchedule && this.config.intervalSchedule.length > 0) {
       this.log('info', '⏱️ Interval schedule active: ' + this.config.intervalSchedule.length + ' phases');
       this.config.intervalSchedule.forEach((phase, i) => {
         this.log('info', '  Phase ' + (i + 1) + ': ' + phase.seconds + 's for ' + phase.durationMinutes + ' min');
@@ -1222,18 +1566,71 @@ class SchedulerInstance {
     } else {
       this.log('info', '⏱️ Using fixed interval: ' + this.config.checkIntervalSeconds + 's');
     }
+    if (this.config.stopPolicy) {
+      this.log('info', '⌛ Auto-stop: ' + describeStopPolicy(this.config.stopPolicy));
+    }
+    if (this.config.activeHours) {
+      this.log('info', '🕘 Active hours: ' + describeActiveHours(this.config.activeHours));
+    }
+    if (this.config.dateRanges.length > 1) {
+      this.log('info', '📆 Date ranges: ' + describeDateRanges(this.config.dateRanges));
+    }
+    if (this.config.facilityIds.some(f => f.priority || f.startDate || f.endDate)) {
+      this.log('info', '📍 Facilities in check order: ' + orderFacilities(this.config.facilityIds)
+        .map(f => describeFacility(f, this.locationNames[f.id])).join(' → '));
+    }
+    if (this.config.dateRules) {
+      this.log('info', '🗓️ Date rules: ' + describeDateRules(this.config.dateRules));
+    }
+    if (this.config.timePreferences) {
+      this.log('info', '⏰ Time preferences: ' + describeTimePreferences(this.config.timePreferences));
+    }
+    if (this.config.dryRun) {
+      this.log('info', '🧪 Dry run: matches go through the whole booking path, but nothing is booked');
+    }
+    if (this.config.expedite) {
+      this.log('info', '⚡ Expedite mode: looking up and booking expedite appointments');
+    }
+    if (this.config.ascFacilityId) {
+      this.log('info', '🖐️ ASC facility: ' + (this.locationNames[this.config.ascFacilityId] || this.config.ascFacilityId));
+    }
+    if (this.config.rescheduleMode) {
+      this.log('info', '🔁 Reschedule mode: booking only dates at least ' + this.config.minImprovementDays + ' day(s) before the current appointment');
+    }
+
+    // Nothing to do if the job is already past its stop conditions
+    const expired = this.stopReason();
+    if (expired) {
+      this._expire(expired);
+      return;
+    }
 
     // Login (launches browser + navigates to login page)
     try {
       await this.login();
     } catch (err) {
       this.log('error', 'Initial login failed: ' + err.message);
-      db.updateJob(this.jobId, { status: 'error', lastError: err.message });
+      this.setState({ status: 'error', lastError: err.message });
+      this.publish('fatal', { error: 'Initial login failed: ' + err.message });
       this.running = false;
       await this.closePage();
       return;
     }
 
+    // What the account holds right now (reschedule mode retries every cycle until known)
+    try {
+      const details = await this.fetchAccountDetails();
+      const appt = details.appointment;
+      this.log('info', '👤 ' + details.applicants.length + ' applicant(s)' + (details.visaClass ? ' · ' + details.visaClass : '') +
+        ' · current appointment: ' + (appt ? appt.date + (appt.time ? ' ' + appt.time : '') + (appt.location ? ' at ' + appt.location : '') : 'none'));
+    } catch (err) {
+      this.log('warn', 'Could not read account details: ' + err.message);
+    }
+    if (this.config.rescheduleMode) {
+      if (this.currentAppointment) this.log('info', '📅 Booking only dates on or before ' + this.improvementCutoff());
+      else this.log('warn', 'Current appointment unknown — nothing will be booked until it can be read.');
+    }
+
     // Fetch locations (for cache)
     try {
       const locations = await this.fetchLocations();
@@ -1263,6 +1660,32 @@ class SchedulerInstance {
     let currentScheduleIndex = 0;
 
     while (this.running) {
+      // ── Auto-stop conditions ──
+      const expired = this.stopReason();
+      if (expired) {
+        this._expire(expired);
+        break;
+      }
+
+      // ── Booking requested from the dashboard ──
+      if (this._manualBooking && await this._runManualBooking() === 'BOOKED') {
+        this.log('success', 'Appointment booked! Stopping.');
+        this.running = false;
+        this.syncHealth();
+        break;
+      }
+
+      // ── Outside the active hours: idle with the page closed ──
+      if (this.config.activeHours) {
+        const window = await this._waitForActiveWindow();
+        if (window === 'STOPPED') break;
+        if (window === 'EXPIRED') continue; // ended by the check above
+        if (window === 'RESUMED') {
+          scheduleStartTime = Date.now();
+          currentScheduleIndex = 0;
+        }
+      }
+
       try {
         const result = await this.runCheckCycle();
 
@@ -1281,12 +1704,14 @@ class SchedulerInstance {
           const cooldownMs = BLOCK_COOLDOWNS[Math.min(blockCount, BLOCK_COOLDOWNS.length - 1)];
           blockCount++;
           this.log('warn', '🕐 IP block #' + blockCount + ' — cooling down for ' + Math.round(cooldownMs / 60000) + ' min...');
-          db.updateJob(this.jobId, { lastError: 'IP blocked — cooldown ' + Math.round(cooldownMs / 60000) + 'min (#' + blockCount + ')' });
-          await this.sleep(cooldownMs);
+          this.setState({ lastError: 'IP blocked — cooldown ' + Math.round(cooldownMs / 60000) + 'min (#' + blockCount + ')' });
+          this.publish('block.detected', { reason: 'ip', cooldownMinutes: Math.round(cooldownMs / 60000), blockCount });
+          await this.sleep(this._untilStopPolicy(cooldownMs));
+          if (this.stopReason()) continue; // expired during the cooldown
 
           this.log('info', 'Cooldown done. Re-establishing session...');
           try {
-            await this.login();
+            await this.relogin('ip_block_cooldown');
             this.log('success', 'Session refreshed after cooldown.');
             this.health.consecutiveFailures = 0;
           } catch (e) {
@@ -1307,12 +1732,14 @@ class SchedulerInstance {
           this.log('error', '  The scheduling API appears to be blocking this account.');
           this.log('error', '══════════════════════════════════════════════════════');
           this.log('warn', '💤 Cooling down for 3 hours before retrying...');
-          db.updateJob(this.jobId, { lastError: 'Account API blocked — cooling down 3 hours' });
-          await this.sleep(cooldownMs);
+          this.setState({ lastError: 'Account API blocked — cooling down 3 hours' });
+          this.publish('block.detected', { reason: 'account', cooldownMinutes: cooldownMs / 60000, blockCount: 1 });
+          await this.sleep(this._untilStopPolicy(cooldownMs));
           this._consecutiveNoAjaxCycles = 0;
+          if (this.stopReason()) continue; // expired during the cooldown
           this.log('info', '⏰ 3-hour cooldown complete. Re-establishing session...');
           try {
-            await this.login();
+            await this.relogin('account_block_cooldown');
             this.log('success', 'Re-login after account block cooldown succeeded.');
             this.health.consecutiveFailures = 0;
           } catch (e) {
@@ -1333,7 +1760,7 @@ class SchedulerInstance {
             await this.sleep(60000);
           }
           try {
-            await this.login();
+            await this.relogin('login_failed');
             this.log('success', 'Re-login succeeded.');
             this.health.consecutiveFailures = 0;
           } catch (e) {
@@ -1350,7 +1777,7 @@ class SchedulerInstance {
           this.log('warn', 'Too many failures. Cooling down 5 minutes...');
           await this.sleep(300000);
           try {
-            await this.login();
+            await this.relogin('too_many_failures');
             this.health.consecutiveFailures = 0;
           } catch (e) { /* ignore */ }
         }
@@ -1358,6 +1785,12 @@ class SchedulerInstance {
 
       if (!this.running) break;
 
+      // ── Cron schedule replaces the interval settings ──
+      if (this.config.cronExpression) {
+        await this.waitForNextCycle(this._untilStopPolicy(this._cronWaitMs()));
+        continue;
+      }
+
       // ── Calculate next interval based on schedule ──
       let intervalSeconds = this.config.checkIntervalSeconds || 30;
 
@@ -1394,13 +1827,214 @@ class SchedulerInstance {
       const interval = intervalSeconds * 1000;
       const jitter = interval * 0.1 * (Math.random() - 0.5);
       const waitMs = Math.max(3000, interval + jitter);
-      await this.sleep(waitMs);
+      await this.waitForNextCycle(this._untilStopPolicy(waitMs));
     }
 
+    this._refuseManualBooking('The job stopped before the booking could start.');
     this.syncHealth();
     await this.closePage();
   }
 
+  // Until the next cron fire time, with ±5% of the gap to the following one as jitter
+  _cronWaitMs() {
+    const now = new Date();
+    const [next, after] = nextCronTimes(this.config.cronExpression, this.config.cronTimezone, now, 2);
+    if (!next) {
+      this.log('warn', 'Cron expression never fires again — checking again in 1 hour.');
+      return 60 * 60 * 1000;
+    }
+    const gap = after ? after - next : 60000;
+    const jitter = gap * 0.1 * (Math.random() - 0.5);
+    const waitMs = Math.max(3000, next - now + jitter);
+    this.log('debug', 'Next cron check at ' + new Date(now.getTime() + waitMs).toISOString());
+    return waitMs;
+  }
+
+  // ============================================================
+  // ACTIVE HOURS
+  // ============================================================
+  // 'ACTIVE' inside a window, 'RESUMED' after idling until one opened,
+  // 'STOPPED' if the job was stopped while idle, 'EXPIRED' if a stop condition hit.
+  async _waitForActiveWindow() {
+    let open = activeWindowAt(this.config.activeHours, new Date());
+    if (open) {
+      this._publishActiveWindow(open);
+      return 'ACTIVE';
+    }
+
+    while (!open) {
+      const wakeAt = nextWindowStart(this.config.activeHours, new Date());
+      this.log('info', '💤 Outside active hours — browser page closed until ' + wakeAt.toISOString());
+      this._activeUntil = null;
+      this.setState({ activeUntil: null, nextWakeAt: wakeAt.toISOString() });
+      await this.closePage();
+      // A second past the opening so the window check below cannot land just short of it
+      await this.sleep(this._untilStopPolicy(Math.max(1000, wakeAt - Date.now() + 1000)));
+      if (!this.running) return 'STOPPED';
+      if (this.stopReason()) return 'EXPIRED';
+      open = activeWindowAt(this.config.activeHours, new Date());
+    }
+
+    this.log('info', '⏰ Active window opened (until ' + open.until.toISOString() + '). Logging in again...');
+    this._publishActiveWindow(open);
+    try {
+      await this.relogin('active_window');
+    } catch (err) {
+      this.log('error', 'Re-login failed: ' + err.message + ' — retrying on the next check.');
+    }
+    return 'RESUMED';
+  }
+
+  _publishActiveWindow(open) {
+    const until = open.until.toISOString();
+    if (this._activeUntil === until) return;
+    this._activeUntil = until;
+    this.setState({ activeUntil: until, nextWakeAt: null });
+  }
+
+  // ============================================================
+  // PENDING OFFERS & MANUAL BOOKING
+  // With autoBook off, matching dates are kept as offers (with their
+  // time slots) for someone to book from the dashboard. That booking
+  // runs in the loop, on this live session, between check cycles.
+  // ============================================================
+  // Times are looked up once, when a date is first offered (booking reads them
+  // live anyway); a failed lookup only leaves that date out until the next check.
+  async _recordOffers(facId, facName, dates) {
+    const previous = this.offers[facId] || [];
+    const known = {};
+    for (const offer of previous) known[offer.date] = offer;
+    const offers = [];
+    let added = 0;
+    for (const date of dates.slice(0, MAX_OFFER_DATES)) {
+      if (known[date]) {
+        offers.push(known[date]);
+        continue;
+      }
+      try {
+        offers.push({ date, times: await this.checkTimes(facId, date), foundAt: new Date().toISOString() });
+        added++;
+      } catch (err) {
+        this.log('warn', '👆 ' + facName + ' ' + date + ': times lookup failed (' + err.message + '), not offered this check');
+      }
+    }
+    this.offers[facId] = offers;
+    if (added > 0) this.log('info', '👆 ' + facName + ': ' + offers.length + ' offer(s) waiting to be booked from the dashboard');
+    if (offers.map(o => o.date).join() !== previous.map(o => o.date).join()) this._publishOffers();
+  }
+
+  _dropOffers(facId) {
+    if (!this.offers[facId]) return;
+    delete this.offers[facId];
+    this._publishOffers();
+  }
+
+  _clearOffers() {
+    this.offers = {};
+    this._publishOffers();
+  }
+
+  _publishOffers() {
+    const pendingOffers = [];
+    for (const [facilityId, offers] of Object.entries(this.offers)) {
+      const facility = this.locationNames[facilityId] || 'Facility ' + facilityId;
+      for (const offer of offers) pendingOffers.push({ facilityId, facility, ...offer });
+    }
+    this.setState({ pendingOffers });
+  }
+
+  // Wait between check cycles; a manual booking request ends it early
+  waitForNextCycle(ms) {
+    if (this._manualBooking) return Promise.resolve();
+    return new Promise(resolve => {
+      this._wakeCycleWait = () => { this.cancelSleep(); resolve(); };
+      this.sleep(ms).then(resolve);
+    }).finally(() => { this._wakeCycleWait = null; });
+  }
+
+  // ── Book one of the pending offers now (time: null = pick by time preferences) ──
+  // Resolves with { outcome, success, verified, facilityId, date, time, reason }.
+  bookNow(facilityId, date, time) {
+    if (!this.running || !this.page) return Promise.reject(new Error('The job is not checking right now.'));
+    if (this._manualBooking) return Promise.reject(new Error('Another booking request is waiting.'));
+    if (!(this.offers[facilityId] || []).some(o => o.date === date)) {
+      return Promise.reject(new Error('That date is no longer offered at this facility.'));
+    }
+    return new Promise((resolve, reject) => {
+      // The loop picks it up after the current check; cooldowns would keep it waiting too long
+      const timer = setTimeout(() => {
+        if (this._manualBooking && this._manualBooking.resolve === resolve) this._refuseManualBooking('The job is busy (checking or cooling down). Try again in a moment.');
+      }, MANUAL_BOOKING_PICKUP_MS);
+      this._manualBooking = { facilityId, date, time, resolve, reject, timer };
+      if (this._wakeCycleWait) this._wakeCycleWait();
+    });
+  }
+
+  _refuseManualBooking(message) {
+    if (!this._manualBooking) return;
+    clearTimeout(this._manualBooking.timer);
+    this._manualBooking.reject(new Error(message));
+    this._manualBooking = null;
+  }
+
+  async _runManualBooking() {
+    const { facilityId, date, time, resolve, timer } = this._manualBooking;
+    clearTimeout(timer);
+    this._manualBooking = null;
+    const facName = this.locationNames[facilityId] || 'Facility ' + facilityId;
+    this.log('info', '👆 Booking requested from the dashboard: ' + date + (time ? ' ' + time : '') + ' at ' + facName);
+    this.publish('booking.attempt', { facilityId, facility: facName, date });
+
+    let result;
+    try {
+      result = await this.bookAppointment(facilityId, date, time || undefined);
+    } catch (err) {
+      result = { success: false, verified: false, reason: err.message, date, time: time || null, facilityId };
+    }
+    const outcome = await this._settleBooking(facilityId, facName, result);
+    resolve({
+      outcome: outcome || 'FAILED',
+      success: !!result.success,
+      verified: !!result.verified,
+      facilityId,
+      date: result.date,
+      time: result.time || null,
+      reason: result.note || result.reason || null
+    });
+    if (!outcome && result.reason && (result.reason.includes('Session expired') || result.reason === 'SESSION_EXPIRED')) {
+      try { await this.relogin('session_expired'); } catch (e) { this.log('error', 'Re-login failed: ' + e.message); }
+    }
+    return outcome;
+  }
+
+  // ============================================================
+  // AUTO-STOP
+  // ============================================================
+  stopReason() {
+    return stopPolicyReason(this.config.stopPolicy, {
+      now: new Date(),
+      startedAt: this.health.startedAt,
+      checks: this.health.totalChecks,
+      endDate: this.config.endDate,
+      today: localToday()
+    });
+  }
+
+  // Shorten a wait so a deadline or max runtime is not overslept
+  _untilStopPolicy(ms) {
+    const expiresAt = stopPolicyExpiresAt(this.config.stopPolicy, this.health.startedAt);
+    if (!expiresAt) return ms;
+    return Math.max(1000, Math.min(ms, expiresAt - Date.now() + 1000));
+  }
+
+  _expire(reason) {
+    this.log('warn', '⌛ Auto-stop: ' + reason + '. Stopping.');
+    this.running = false;
+    this.syncHealth();
+    this.setState({ status: 'expired', stopReason: reason, activeUntil: null, nextWakeAt: null });
+    this.publish('expired', { reason });
+  }
+
   // ============================================================
   // STOP
   // ============================================================
@@ -1410,6 +2044,7 @@ class SchedulerInstance {
     this.running = false;
     this.stopping = true;
     this.cancelSleep();
+    this._refuseManualBooking('The job was stopped.');
 
     if (this.loopPromise) {
       try {
@@ -1419,7 +2054,7 @@ class SchedulerInstance {
 
     this.syncHealth();
     await this.closePage();
-    db.updateJob(this.jobId, { status: 'stopped' });
+    this.setState({ status: 'stopped' });
     this.log('info', '⏹️ Scheduler stopped.');
   }
 
@@ -1434,4 +2069,4 @@ class SchedulerInstance {
   }
 }
 
-module.exports = { SchedulerInstance, loadModules };
+module.exports = { SchedulerInstance, loadModules, EVENTS };
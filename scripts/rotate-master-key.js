@@ -0,0 +1,50 @@
+// ============================================================
+// ROTATE MASTER KEY - Re-encrypts every stored credential
+// with the current CREDENTIALS_MASTER_KEY.
+//
+// 1. Move the old key to CREDENTIALS_MASTER_KEY_PREVIOUS
+// 2. Set the new key as CREDENTIALS_MASTER_KEY
+// 3. Run: npm run rotate-key
+// 4. Remove CREDENTIALS_MASTER_KEY_PREVIOUS
+//
+// Run with --generate to print a fresh random key.
+// ============================================================
+
+// Load .env if present
+const fs = require('fs');
+const path = require('path');
+const envPath = path.join(__dirname, '..', '.env');
+if (fs.existsSync(envPath)) {
+  fs.readFileSync(envPath, 'utf8').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const idx = trimmed.indexOf('=');
+    if (idx === -1) return;
+    const k = trimmed.slice(0, idx).trim();
+    const v = trimmed.slice(idx + 1).trim();
+    if (k && !process.env[k]) process.env[k] = v;
+  });
+}
+
+const vault = require('../credential-vault');
+
+if (process.argv.includes('--generate')) {
+  console.log(vault.generateKey());
+  process.exit(0);
+}
+
+if (!vault.isEnabled()) {
+  console.error('[RotateKey] CREDENTIALS_MASTER_KEY is not set.');
+  process.exit(1);
+}
+
+const db = require('../database');
+
+try {
+  db.initDatabase();
+  const count = db.reencryptCredentials();
+  console.log('[RotateKey] Re-encrypted ' + count + ' credential(s) with the current master key.');
+} catch (err) {
+  console.error('[RotateKey] Failed:', err.message);
+  process.exit(1);
+}
@@ -23,16 +23,29 @@ const session = require('express-session');
 const db = require('./database');
 const jobManager = require('./job-manager');
 const dropletManager = require('./droplet-manager');
+const callbackAuth = require('./callback-auth');
+const loginGuard = require('./login-guard');
+const totp = require('./totp');
+const notifier = require('./notifier');
+const matching = require('./matching');
+const runSchedule = require('./run-schedule');
+const webhooks = require('./webhooks');
+const eventStream = require('./event-stream');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
-const CALLBACK_SECRET = process.env.CALLBACK_SECRET || 'changeme';
 const APP_PASSWORD = process.env.APP_PASSWORD || '';
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'visa-scheduler-secret-' + Math.random().toString(36).slice(2);
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'US Visa Scheduler';
+const TOTP_LOGIN_TIMEOUT_MS = 5 * 60 * 1000; // time allowed between password and code
 
-if (!APP_PASSWORD) {
-  console.warn('[Auth] WARNING: APP_PASSWORD is not set. The dashboard is unprotected!');
-}
+// With no user accounts the dashboard is open and every request acts as admin
+const OPEN_ACCESS_USER = { id: null, username: 'admin', role: 'admin' };
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "loopback") so req.ip is the client address
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
 
 // ── Session middleware ──
 app.use(session({
@@ -45,30 +58,224 @@ app.use(session({
   }
 }));
 
-// Middleware
-app.use(express.json());
+// Middleware — keep the raw body around for callback signature checks
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
+
+// ── Auth guard ──
+// Browser requests need a session; API calls accept a session or an
+// `Authorization: Bearer <token>` API token. Droplet callbacks use their own secret.
+// Sets req.user to the acting user.
+function authEnabled() {
+  return db.countUsers() > 0;
+}
 
-// ── Auth guard (page/HTML only — APIs are unguarded) ──
 function requireAuth(req, res, next) {
-  if (!APP_PASSWORD) return next(); // no password set → open
-  if (req.session && req.session.authenticated) return next();
-  // Block only the HTML page — API calls pass through freely
-  if (req.path.startsWith('/api/') || req.path.startsWith('/auth/')) return next();
+  if (req.path.startsWith('/api/callback/')) return next();
+  if (!authEnabled()) {
+    req.user = OPEN_ACCESS_USER;
+    req.authMethod = 'open';
+    return next();
+  }
+  const sessionUser = req.session && req.session.authenticated && db.getUser(req.session.userId);
+  if (sessionUser) {
+    req.user = sessionUser;
+    req.authMethod = 'session';
+    return next();
+  }
+  if (req.path.startsWith('/api/')) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const token = match && db.verifyApiToken(match[1]);
+    const tokenUser = token && token.userId && db.getUser(token.userId);
+    if (tokenUser) {
+      req.user = tokenUser;
+      req.authMethod = 'token';
+      req.apiToken = token;
+      return next();
+    }
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   // Unauthenticated browser request → serve index.html (shows login screen)
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 }
 
+// API tokens can't mint or revoke other tokens
+function requireSession(req, res, next) {
+  if (req.authMethod === 'token') {
+    return res.status(403).json({ error: 'This action requires a dashboard session.' });
+  }
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Your role does not allow this action.' });
+    }
+    next();
+  };
+}
+
+// ── Job ownership ──
+// admin: every job · operator: own jobs · viewer: read-only access to every job
+// Jobs without an owner (created before user accounts) are admin-only for changes.
+function canViewJob(user, job) {
+  if (user.role === 'admin' || user.role === 'viewer') return true;
+  return !!job.ownerId && job.ownerId === user.id;
+}
+
+function canEditJob(user, job) {
+  if (user.role === 'admin') return true;
+  return user.role === 'operator' && !!job.ownerId && job.ownerId === user.id;
+}
+
+// Loads :id into req.job — 404 when missing or hidden, 403 when read-only for this user
+function jobAccess(mode) {
+  return (req, res, next) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job || !canViewJob(req.user, job)) return res.status(404).json({ error: 'Job not found' });
+    if (mode === 'edit' && !canEditJob(req.user, job)) {
+      return res.status(403).json({ error: 'You do not have permission to change this job.' });
+    }
+    req.job = job;
+    next();
+  };
+}
+
+// Attach the owner's username (jobs never carry the password; hasPassword says whether one is set)
+function publicJob(job) {
+  const owner = job.ownerId ? db.getUser(job.ownerId) : null;
+  return { ...job, ownerUsername: owner ? owner.username : null };
+}
+
+// Config fields PUT /api/jobs/:id may change. Status, booking, droplet and
+// counter fields are written by the job manager only.
+const EDITABLE_JOB_FIELDS = [
+  'name', 'email', 'password', 'scheduleId', 'country',
+  'startDate', 'endDate', 'dateRanges', 'facilityIds', 'ascFacilityId',
+  'checkIntervalSeconds', 'intervalSchedule', 'cronExpression', 'cronTimezone',
+  'autoBook', 'dryRun', 'expedite', 'rescheduleMode', 'minImprovementDays',
+  'dateRules', 'timePreferences', 'activeHours', 'stopPolicy', 'notifications', 'ownerId'
+];
+
+// Booking options shared by create and update; returns an error message or null
+function validateJobOptions(data) {
+  if (data.minImprovementDays !== undefined) {
+    const days = data.minImprovementDays;
+    if (!Number.isInteger(days) || days < 1 || days > 365) return 'minImprovementDays must be a whole number from 1 to 365.';
+  }
+  if (data.expedite !== undefined && typeof data.expedite !== 'boolean') return 'expedite must be true or false.';
+  if (data.dryRun !== undefined && typeof data.dryRun !== 'boolean') return 'dryRun must be true or false.';
+  return null;
+}
+
+// ── Audit trail ──
+// Who did what, from where. Job changes record a field-level diff;
+// secrets are only ever noted as changed.
+const AUDIT_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'hasPassword', 'ownerUsername'];
+
+function diffJob(before, after, body) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED_FIELDS.includes(key)) continue;
+    const from = before && before[key] !== undefined ? before[key] : null;
+    const to = after && after[key] !== undefined ? after[key] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  }
+  if (body && body.password) changes.password = { from: '[redacted]', to: '[redacted]' };
+  return changes;
+}
+
+function audit(req, action, { jobId, target, changes } = {}) {
+  try {
+    db.addAudit({
+      userId: req.user ? req.user.id : null,
+      username: req.user ? req.user.username : null,
+      ip: req.ip,
+      action,
+      jobId,
+      target,
+      changes
+    });
+  } catch (err) {
+    console.error('[Audit] Failed to record ' + action + ':', err.message);
+  }
+}
+
 // Static assets (CSS, JS, images) served without auth
 app.use('/assets', express.static(path.join(__dirname, 'public', 'assets')));
 
 // ── Login / Logout routes ──
-app.post('/auth/login', (req, res) => {
-  const { password } = req.body;
-  if (!APP_PASSWORD || password === APP_PASSWORD) {
+// Attempts are throttled per IP and globally (login-guard.js). Users with TOTP
+// enabled only get a pending session (pendingUserId) from the password step;
+// req.session.authenticated is set once /auth/login/totp accepts a code.
+function rejectIfLocked(req, res) {
+  const lock = loginGuard.check(req.ip);
+  if (!lock) return false;
+  res.set('Retry-After', String(lock.retryAfterSeconds));
+  res.status(429).json({
+    error: lock.scope === 'global'
+      ? 'Too many failed sign-ins. Sign-in is paused — try again in ' + lock.retryAfterSeconds + 's.'
+      : 'Too many failed attempts. Try again in ' + lock.retryAfterSeconds + 's.',
+    retryAfterSeconds: lock.retryAfterSeconds
+  });
+  return true;
+}
+
+function startSession(req, res, user) {
+  // Fresh session id on login (prevents session fixation)
+  req.session.regenerate((err) => {
+    if (err) return res.status(500).json({ error: 'Could not create session' });
+    req.session.userId = user.id;
     req.session.authenticated = true;
-    return res.json({ ok: true });
+    loginGuard.recordSuccess(req.ip);
+    audit({ user, ip: req.ip }, 'auth.login');
+    res.json({ ok: true, user });
+  });
+}
+
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  if (!authEnabled()) return res.json({ ok: true, user: OPEN_ACCESS_USER });
+  if (rejectIfLocked(req, res)) return;
+
+  const user = db.verifyUserPassword(username, password);
+  if (!user) {
+    loginGuard.recordFailure(req.ip);
+    audit(req, 'auth.login_failed', { target: username ? String(username).slice(0, 64) : null });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  if (user.totpEnabled) {
+    return req.session.regenerate((err) => {
+      if (err) return res.status(500).json({ error: 'Could not create session' });
+      req.session.pendingUserId = user.id;
+      req.session.pendingAt = Date.now();
+      res.json({ ok: true, totpRequired: true });
+    });
   }
-  res.status(401).json({ error: 'Invalid password' });
+  startSession(req, res, user);
+});
+
+app.post('/auth/login/totp', (req, res) => {
+  if (rejectIfLocked(req, res)) return;
+  const pendingUserId = req.session && req.session.pendingUserId;
+  if (!pendingUserId || Date.now() - req.session.pendingAt > TOTP_LOGIN_TIMEOUT_MS) {
+    return res.status(401).json({ error: 'Sign-in expired. Enter your password again.' });
+  }
+
+  const user = db.getUser(pendingUserId);
+  const state = user && db.getTotpState(user.id);
+  const step = state && state.secret ? totp.verify(state.secret, req.body.code) : null;
+  if (step === null || !db.useTotpStep(user.id, step)) {
+    loginGuard.recordFailure(req.ip);
+    audit({ user, ip: req.ip }, 'auth.totp_failed');
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+  startSession(req, res, user);
 });
 
 app.post('/auth/logout', (req, res) => {
@@ -78,10 +285,14 @@ app.post('/auth/logout', (req, res) => {
 });
 
 app.get('/auth/check', (req, res) => {
-  res.json({ authenticated: !APP_PASSWORD || !!(req.session && req.session.authenticated) });
+  if (!authEnabled()) return res.json({ authenticated: true, user: OPEN_ACCESS_USER, authEnabled: false });
+  const user = req.session && req.session.authenticated && db.getUser(req.session.userId);
+  const totpPending = !user && !!(req.session && req.session.pendingUserId) &&
+    Date.now() - req.session.pendingAt <= TOTP_LOGIN_TIMEOUT_MS;
+  res.json({ authenticated: !!user, user: user || null, authEnabled: true, totpPending });
 });
 
-// Apply auth guard — only blocks the HTML page, APIs pass through
+// Apply auth guard to everything below (HTML page + all non-callback APIs)
 app.use(requireAuth);
 
 // Serve public files (index.html etc.) behind auth
@@ -94,70 +305,148 @@ app.use(express.static(path.join(__dirname, 'public')));
 // ── Get all jobs ──
 app.get('/api/jobs', (req, res) => {
   try {
-    const jobs = jobManager.getAllJobs();
-    // Strip passwords from response
-    const safe = jobs.map(j => ({ ...j, password: '••••••••' }));
-    res.json(safe);
+    const jobs = jobManager.getAllJobs().filter(j => canViewJob(req.user, j));
+    res.json(jobs.map(publicJob));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Live updates (Server-Sent Events): new log rows + job changes ──
+// Resumes from the Last-Event-ID header (or ?lastEventId=) after a reconnect.
+app.get('/api/stream', (req, res) => {
+  const userId = req.user.id;
+  const openAccess = req.authMethod === 'open';
+  eventStream.attach(req, res, {
+    // Re-read the user on every event so role changes and deletions apply at once
+    canView: (job) => {
+      const user = openAccess ? OPEN_ACCESS_USER : db.getUser(userId);
+      return !!user && canViewJob(user, job);
+    },
+    serializeJob: publicJob
+  });
+});
+
 // ── Get single job ──
-app.get('/api/jobs/:id', (req, res) => {
+app.get('/api/jobs/:id', jobAccess('view'), (req, res) => {
   try {
-    const job = jobManager.getJob(req.params.id);
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json({ ...job, password: '••••••••' });
+    res.json(publicJob(req.job));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ── Create job ──
-app.post('/api/jobs', (req, res) => {
+app.post('/api/jobs', requireRole('admin', 'operator'), (req, res) => {
   try {
-    const { name, email, password, scheduleId, country, facilityIds,
-            startDate, endDate, checkIntervalSeconds, intervalSchedule, autoBook } = req.body;
+    const { name, email, password, scheduleId, country,
+            startDate, endDate, checkIntervalSeconds, intervalSchedule, autoBook,
+            rescheduleMode, minImprovementDays, expedite, dryRun } = req.body;
+    let facilityIds, dateRanges = null, notifications, dateRules, timePreferences, activeHours, cronExpression, cronTimezone, stopPolicy, ascFacilityId;
+    try {
+      facilityIds = matching.normalizeFacilities(req.body.facilityIds);
+      ascFacilityId = matching.normalizeAscFacilityId(req.body.ascFacilityId);
+      if (req.body.dateRanges !== undefined && req.body.dateRanges !== null) {
+        dateRanges = matching.normalizeDateRanges(req.body.dateRanges);
+      } else if (startDate || endDate) {
+        dateRanges = matching.normalizeDateRanges([{ start: startDate, end: endDate }]);
+      }
+      notifications = notifier.normalizeJobNotifications(req.body.notifications);
+      dateRules = matching.normalizeDateRules(req.body.dateRules);
+      timePreferences = matching.normalizeTimePreferences(req.body.timePreferences);
+      activeHours = runSchedule.normalizeActiveHours(req.body.activeHours);
+      cronExpression = runSchedule.normalizeCronExpression(req.body.cronExpression);
+      cronTimezone = runSchedule.normalizeCronTimezone(req.body.cronTimezone);
+      stopPolicy = runSchedule.normalizeStopPolicy(req.body.stopPolicy);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
     if (!email || !password || !scheduleId) {
       return res.status(400).json({ error: 'email, password, and scheduleId are required.' });
     }
-    if (!startDate || !endDate) {
-      return res.status(400).json({ error: 'startDate and endDate are required.' });
+    if (!dateRanges) {
+      return res.status(400).json({ error: 'dateRanges (or startDate and endDate) are required.' });
     }
+    const invalid = validateJobOptions(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
 
     const job = jobManager.createJob({
       name, email, password, scheduleId,
       country: country || 'en-ca',
-      facilityIds: facilityIds || [],
-      startDate, endDate,
+      facilityIds,
+      dateRanges,
       checkIntervalSeconds: checkIntervalSeconds || 30,
       intervalSchedule: intervalSchedule || [],
-      autoBook: autoBook !== false
+      cronExpression,
+      cronTimezone,
+      autoBook: autoBook !== false,
+      rescheduleMode: !!rescheduleMode,
+      minImprovementDays: minImprovementDays || 1,
+      expedite: !!expedite,
+      dryRun: !!dryRun,
+      dateRules,
+      timePreferences,
+      activeHours,
+      stopPolicy,
+      ascFacilityId,
+      notifications,
+      ownerId: req.user.id
     });
 
-    res.status(201).json({ ...job, password: '••••••••' });
+    audit(req, 'job.create', { jobId: job.id, target: job.name, changes: diffJob(null, job) });
+    res.status(201).json(publicJob(job));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ── Update job ──
-app.put('/api/jobs/:id', (req, res) => {
+app.put('/api/jobs/:id', jobAccess('edit'), (req, res) => {
   try {
-    const job = jobManager.updateJob(req.params.id, req.body);
+    const body = req.body || {};
+    const readOnly = Object.keys(body).filter(key => !EDITABLE_JOB_FIELDS.includes(key));
+    if (readOnly.length > 0) return res.status(400).json({ error: 'These fields cannot be changed: ' + readOnly.join(', ') + '.' });
+    const data = {};
+    for (const key of EDITABLE_JOB_FIELDS) {
+      if (body[key] !== undefined) data[key] = body[key];
+    }
+    // Only admins can hand a job to another user
+    if (data.ownerId !== undefined) {
+      if (req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can change a job owner.' });
+      if (data.ownerId && !db.getUser(data.ownerId)) return res.status(400).json({ error: 'Unknown owner.' });
+    }
+    if (data.dateRanges !== undefined) {
+      data.dateRanges = matching.normalizeDateRanges(data.dateRanges);
+    } else if (data.startDate !== undefined || data.endDate !== undefined) {
+      // The single-range fields replace every range
+      data.dateRanges = matching.normalizeDateRanges([{ start: data.startDate || req.job.startDate, end: data.endDate || req.job.endDate }]);
+    }
+    if (data.facilityIds !== undefined) data.facilityIds = matching.normalizeFacilities(data.facilityIds);
+    if (data.ascFacilityId !== undefined) data.ascFacilityId = matching.normalizeAscFacilityId(data.ascFacilityId);
+    if (data.notifications !== undefined) data.notifications = notifier.normalizeJobNotifications(data.notifications);
+    if (data.dateRules !== undefined) data.dateRules = matching.normalizeDateRules(data.dateRules);
+    if (data.timePreferences !== undefined) data.timePreferences = matching.normalizeTimePreferences(data.timePreferences);
+    if (data.activeHours !== undefined) data.activeHours = runSchedule.normalizeActiveHours(data.activeHours);
+    if (data.cronExpression !== undefined) data.cronExpression = runSchedule.normalizeCronExpression(data.cronExpression);
+    if (data.cronTimezone !== undefined) data.cronTimezone = runSchedule.normalizeCronTimezone(data.cronTimezone);
+    if (data.stopPolicy !== undefined) data.stopPolicy = runSchedule.normalizeStopPolicy(data.stopPolicy);
+    const invalid = validateJobOptions(data);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const job = jobManager.updateJob(req.params.id, data);
     if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json({ ...job, password: '••••••••' });
+    audit(req, 'job.update', { jobId: job.id, target: job.name, changes: diffJob(req.job, job, data) });
+    res.json(publicJob(job));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
 // ── Delete job ──
-app.delete('/api/jobs/:id', async (req, res) => {
+app.delete('/api/jobs/:id', jobAccess('edit'), async (req, res) => {
   try {
     await jobManager.deleteJob(req.params.id);
+    audit(req, 'job.delete', { jobId: req.job.id, target: req.job.name });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -165,47 +454,86 @@ app.delete('/api/jobs/:id', async (req, res) => {
 });
 
 // ── Start job ──
-app.post('/api/jobs/:id/start', async (req, res) => {
+app.post('/api/jobs/:id/start', jobAccess('edit'), async (req, res) => {
   try {
     const job = await jobManager.startJob(req.params.id);
-    res.json({ ...job, password: '••••••••' });
+    audit(req, 'job.start', { jobId: job.id, target: job.name, changes: diffJob(req.job, job) });
+    res.json(publicJob(job));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
 // ── Stop job ──
-app.post('/api/jobs/:id/stop', async (req, res) => {
+app.post('/api/jobs/:id/stop', jobAccess('edit'), async (req, res) => {
   try {
     const job = await jobManager.stopJob(req.params.id);
-    res.json({ ...job, password: '••••••••' });
+    audit(req, 'job.stop', { jobId: job.id, target: job.name, changes: diffJob(req.job, job) });
+    res.json(publicJob(job));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ── Fetch locations ──
-app.post('/api/jobs/:id/fetch-locations', async (req, res) => {
+app.post('/api/jobs/:id/fetch-locations', jobAccess('edit'), async (req, res) => {
   try {
     const locations = await jobManager.fetchLocations(req.params.id);
-    res.json({ locations });
+    audit(req, 'job.fetch_locations', { jobId: req.job.id, target: req.job.name, changes: { locations: { from: null, to: locations.length } } });
+    res.json({ locations, ascLocations: jobManager.getCachedLocations(req.params.id, 'asc') });
   } catch (err) {
+    audit(req, 'job.fetch_locations', { jobId: req.job.id, target: req.job.name, changes: { error: { from: null, to: err.message } } });
     res.status(500).json({ error: 'Failed to fetch locations: ' + err.message });
   }
 });
 
+// ── Send a test notification to every channel of a job ──
+app.post('/api/jobs/:id/notifications/test', jobAccess('edit'), async (req, res) => {
+  try {
+    const results = await notifier.sendTest(req.params.id);
+    audit(req, 'job.test_notification', { jobId: req.job.id, target: req.job.name, changes: { results: { from: null, to: results } } });
+    res.json({ results });
+  } catch (err) {
+    audit(req, 'job.test_notification', { jobId: req.job.id, target: req.job.name, changes: { error: { from: null, to: err.message } } });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Notification options (global channel targets stay server-side) ──
+app.get('/api/notifications', (req, res) => {
+  res.json({
+    events: notifier.EVENTS,
+    channelTypes: notifier.CHANNEL_TYPES,
+    globalChannels: notifier.globalChannels().map(ch => ({ type: ch.type, events: ch.events }))
+  });
+});
+
+// ── Next run times of a cron expression (job modal preview) ──
+app.get('/api/cron/preview', (req, res) => {
+  try {
+    const expression = runSchedule.normalizeCronExpression(req.query.expression);
+    if (!expression) return res.status(400).json({ error: 'expression is required.' });
+    const timezone = runSchedule.normalizeCronTimezone(req.query.timezone) || 'UTC';
+    const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 50);
+    const times = runSchedule.nextCronTimes(expression, timezone, new Date(), count);
+    res.json({ expression, timezone, times: times.map(d => d.toISOString()) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ── Get cached locations ──
-app.get('/api/jobs/:id/locations', (req, res) => {
+app.get('/api/jobs/:id/locations', jobAccess('view'), (req, res) => {
   try {
     const locations = jobManager.getCachedLocations(req.params.id);
-    res.json({ locations });
+    res.json({ locations, ascLocations: jobManager.getCachedLocations(req.params.id, 'asc') });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ── Get logs ──
-app.get('/api/jobs/:id/logs', (req, res) => {
+app.get('/api/jobs/:id/logs', jobAccess('view'), (req, res) => {
   try {
     const { limit, level, since } = req.query;
     const logs = jobManager.getLogs(req.params.id, {
@@ -220,32 +548,357 @@ app.get('/api/jobs/:id/logs', (req, res) => {
 });
 
 // ── Clear logs ──
-app.delete('/api/jobs/:id/logs', (req, res) => {
+app.delete('/api/jobs/:id/logs', jobAccess('edit'), (req, res) => {
   try {
     jobManager.clearLogs(req.params.id);
+    audit(req, 'job.clear_logs', { jobId: req.job.id, target: req.job.name });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Book a pending offer now (the running job books it on its live session) ──
+app.post('/api/jobs/:id/book', jobAccess('edit'), async (req, res) => {
+  let slot;
+  try {
+    slot = matching.normalizeBookingRequest(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (req.job.dropletId) {
+    return res.status(409).json({ error: 'Booking from the dashboard is not available for jobs running on a droplet.' });
+  }
+  try {
+    const result = await jobManager.bookNow(req.params.id, slot);
+    audit(req, 'job.book', { jobId: req.job.id, target: req.job.name, changes: { booking: { from: null, to: { ...slot, outcome: result.outcome } } } });
+    res.json(result);
+  } catch (err) {
+    audit(req, 'job.book', { jobId: req.job.id, target: req.job.name, changes: { booking: { from: null, to: slot }, error: { from: null, to: err.message } } });
+    res.status(409).json({ error: err.message });
+  }
+});
+
 // ── Reset booking ──
-app.post('/api/jobs/:id/reset', (req, res) => {
+app.post('/api/jobs/:id/reset', jobAccess('edit'), (req, res) => {
   try {
     const job = jobManager.resetBooking(req.params.id);
-    res.json({ ...job, password: '••••••••' });
+    audit(req, 'job.reset', { jobId: job.id, target: job.name, changes: diffJob(req.job, job) });
+    res.json(publicJob(job));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// ── API tokens (each user manages their own; admins see all) ──
+app.get('/api/tokens', requireSession, (req, res) => {
+  try {
+    const tokens = db.listApiTokens(req.user.role === 'admin' ? undefined : req.user.id);
+    res.json({ tokens });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/tokens', requireSession, (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required.' });
+    // The plaintext token is only ever returned here
+    const created = db.createApiToken(name, req.user.id);
+    audit(req, 'token.create', { target: created.name + ' (' + created.prefix + ')' });
+    res.status(201).json(created);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/tokens/:id', requireSession, (req, res) => {
+  try {
+    const token = db.getApiToken(req.params.id);
+    if (!token || (req.user.role !== 'admin' && token.userId !== req.user.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    db.revokeApiToken(token.id);
+    audit(req, 'token.revoke', { target: token.name + ' (' + token.prefix + ')' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Two-factor sign-in (TOTP) for the signed-in user ──
+app.post('/api/me/totp/setup', requireSession, async (req, res) => {
+  try {
+    if (!req.user.id) return res.status(400).json({ error: 'Two-factor sign-in needs a user account.' });
+    if (req.user.totpEnabled) return res.status(400).json({ error: 'Two-factor sign-in is already enabled.' });
+    const secret = totp.generateSecret();
+    db.setPendingTotpSecret(req.user.id, secret);
+    const otpauthUrl = totp.otpauthUrl(secret, req.user.username, TOTP_ISSUER);
+    res.json({ secret, otpauthUrl, qrDataUrl: await QRCode.toDataURL(otpauthUrl) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/me/totp/enable', requireSession, (req, res) => {
+  try {
+    const state = req.user.id && db.getTotpState(req.user.id);
+    if (!state || !state.pendingSecret) return res.status(400).json({ error: 'Start the setup first.' });
+    const step = totp.verify(state.pendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ error: 'That code does not match. Check the time on your device and try again.' });
+    db.activateTotp(req.user.id, step);
+    audit(req, 'user.totp_enable', { target: req.user.username });
+    res.json({ ok: true, user: db.getUser(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turning it off needs the password and a current code
+app.post('/api/me/totp/disable', requireSession, (req, res) => {
+  try {
+    if (!req.user.totpEnabled) return res.status(400).json({ error: 'Two-factor sign-in is not enabled.' });
+    if (rejectIfLocked(req, res)) return;
+    const state = db.getTotpState(req.user.id);
+    const passwordOk = !!db.verifyUserPassword(req.user.username, req.body.password);
+    const step = totp.verify(state.secret, req.body.code);
+    if (!passwordOk || step === null || !db.useTotpStep(req.user.id, step)) {
+      loginGuard.recordFailure(req.ip);
+      return res.status(400).json({ error: 'Wrong password or code.' });
+    }
+    db.disableTotp(req.user.id);
+    audit(req, 'user.totp_disable', { target: req.user.username });
+    res.json({ ok: true, user: db.getUser(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Users (admin only) ──
+function validateUserInput({ username, password, role }, isNew) {
+  if (isNew || username !== undefined) {
+    if (!username || !/^[\w.@-]{2,64}$/.test(username)) return 'username must be 2-64 characters (letters, digits, . _ @ -).';
+  }
+  if (isNew || password !== undefined) {
+    if (!password || String(password).length < 8) return 'password must be at least 8 characters.';
+  }
+  if (isNew || role !== undefined) {
+    if (!db.USER_ROLES.includes(role)) return 'role must be one of: ' + db.USER_ROLES.join(', ') + '.';
+  }
+  return null;
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ users: db.getAllUsers() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const invalid = validateUserInput({ username, password, role }, true);
+    if (invalid) return res.status(400).json({ error: invalid });
+    // The first account turns auth on — it must be able to manage the rest
+    if (!authEnabled() && role !== 'admin') {
+      return res.status(400).json({ error: 'The first user must be an admin.' });
+    }
+    const user = db.createUser({ username, password, role });
+    audit(req, 'user.create', { target: user.username, changes: { role: { from: null, to: user.role } } });
+    res.status(201).json(user);
+  } catch (err) {
+    if (/UNIQUE/.test(err.message)) return res.status(409).json({ error: 'Username already exists.' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const user = db.getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { username, password, role } = req.body;
+    const invalid = validateUserInput({ username, password, role }, false);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (user.role === 'admin' && role && role !== 'admin' && db.countAdmins() <= 1) {
+      return res.status(400).json({ error: 'Cannot demote the last admin.' });
+    }
+    const updated = db.updateUser(user.id, { username, password, role });
+    const changes = {};
+    if (updated.username !== user.username) changes.username = { from: user.username, to: updated.username };
+    if (updated.role !== user.role) changes.role = { from: user.role, to: updated.role };
+    if (password) changes.password = { from: '[redacted]', to: '[redacted]' };
+    audit(req, 'user.update', { target: updated.username, changes });
+    res.json(updated);
+  } catch (err) {
+    if (/UNIQUE/.test(err.message)) return res.status(409).json({ error: 'Username already exists.' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const user = db.getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.id === req.user.id) return res.status(400).json({ error: 'You cannot delete your own account.' });
+    if (user.role === 'admin' && db.countAdmins() <= 1) {
+      return res.status(400).json({ error: 'Cannot delete the last admin.' });
+    }
+    db.deleteUser(user.id);
+    audit(req, 'user.delete', { target: user.username });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lost authenticator: an admin can switch a user's two-factor off
+app.delete('/api/users/:id/totp', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const user = db.getUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    db.disableTotp(user.id);
+    audit(req, 'user.totp_reset', { target: user.username });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Audit trail (admin only) ──
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  try {
+    const { jobId, user, action, since, until, limit, offset } = req.query;
+    const entries = db.getAuditLog({
+      jobId: jobId || undefined,
+      username: user || undefined,
+      action: action || undefined,
+      since: since || undefined,
+      until: until || undefined,
+      limit: Math.min(parseInt(limit) || 200, 1000),
+      offset: parseInt(offset) || 0
+    });
+    res.json({ entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Outgoing webhooks (admin only) ──
+function validateWebhookInput({ url, events }, isNew) {
+  if (isNew || url !== undefined) {
+    let parsed = null;
+    try { parsed = new URL(url); } catch {}
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return 'url must be an http(s) URL.';
+  }
+  if (isNew || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !webhooks.EVENTS.includes(e))) {
+      return 'events must be a non-empty list of: ' + webhooks.EVENTS.join(', ') + '.';
+    }
+  }
+  return null;
+}
+
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ webhooks: db.getAllWebhooks(), events: webhooks.EVENTS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The signing secret is only returned here — store it on the receiving side
+app.post('/api/webhooks', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const invalid = validateWebhookInput({ url, events }, true);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const hook = db.createWebhook({
+      url,
+      events: [...new Set(events)],
+      description: description ? String(description).slice(0, 200) : null,
+      createdBy: req.user ? req.user.username : null
+    });
+    audit(req, 'webhook.create', { target: hook.url, changes: { events: { from: null, to: hook.events } } });
+    res.status(201).json(hook);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/webhooks/:id', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const hook = db.getWebhook(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    const { url, events, description, active } = req.body;
+    const invalid = validateWebhookInput({ url, events }, false);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const updated = db.updateWebhook(hook.id, {
+      url,
+      events: events ? [...new Set(events)] : undefined,
+      description: description !== undefined ? String(description || '').slice(0, 200) : undefined,
+      active: active !== undefined ? !!active : undefined
+    });
+    const changes = {};
+    for (const key of ['url', 'description', 'active']) {
+      if (updated[key] !== hook[key]) changes[key] = { from: hook[key], to: updated[key] };
+    }
+    if (JSON.stringify(updated.events) !== JSON.stringify(hook.events)) changes.events = { from: hook.events, to: updated.events };
+    audit(req, 'webhook.update', { target: updated.url, changes });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const hook = db.getWebhook(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    db.deleteWebhook(hook.id);
+    audit(req, 'webhook.delete', { target: hook.url });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  try {
+    const hook = db.getWebhook(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    const deliveries = db.getWebhookDeliveries(hook.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ deliveries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Same event id and payload as the original, so receivers can dedupe
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), requireSession, (req, res) => {
+  try {
+    const delivery = db.getWebhookDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.params.id) return res.status(404).json({ error: 'Delivery not found' });
+    const requeued = webhooks.redeliver(delivery.id);
+    audit(req, 'webhook.redeliver', { jobId: delivery.jobId, target: delivery.event + ' ' + delivery.eventId });
+    res.json(requeued);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Droplet mode status ──
 app.get('/api/droplet-mode', (req, res) => {
   res.json({ enabled: dropletManager.isEnabled() });
 });
 
 // ── List all DO droplets tagged visa-scheduler ──
-app.get('/api/droplets', async (req, res) => {
+app.get('/api/droplets', requireRole('admin'), async (req, res) => {
   if (!dropletManager.isEnabled()) {
     return res.json({ droplets: [], enabled: false });
   }
@@ -282,7 +935,7 @@ app.get('/api/droplets', async (req, res) => {
 });
 
 // ── Destroy a specific DO droplet by its DO ID ──
-app.delete('/api/droplets/:dropletId', async (req, res) => {
+app.delete('/api/droplets/:dropletId', requireRole('admin'), async (req, res) => {
   if (!dropletManager.isEnabled()) {
     return res.status(400).json({ error: 'Droplet mode not enabled' });
   }
@@ -295,15 +948,18 @@ app.delete('/api/droplets/:dropletId', async (req, res) => {
     const linked = allJobs.find(j => String(j.dropletId) === String(doId));
     if (linked) {
       const db = require('./database');
+      db.setCallbackSecret(linked.id, null);
       db.updateJob(linked.id, {
         dropletId: null,
         dropletIp: null,
         dropletStatus: 'destroyed',
-        status: linked.status === 'booked' ? 'booked' : 'stopped'
+        status: linked.status === 'booked' || linked.status === 'expired' ? linked.status : 'stopped'
       });
       db.addLog(linked.id, 'warn', 'Droplet #' + doId + ' manually destroyed from dashboard.');
     }
+    jobManager.emit('droplet.destroyed', linked ? linked.id : null, { dropletId: doId, manual: true });
 
+    audit(req, 'droplet.destroy', { jobId: linked ? linked.id : null, target: 'droplet #' + doId });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -314,52 +970,75 @@ app.delete('/api/droplets/:dropletId', async (req, res) => {
 // CALLBACK ROUTES - Called by droplet agents
 // ============================================================
 
+// Each droplet signs its callbacks with the secret issued for its job
+// (see callback-auth.js). The credential only works for that job.
 function requireCallbackSecret(req, res, next) {
-  const secret = req.headers['x-callback-secret'];
-  if (secret !== CALLBACK_SECRET) {
+  const jobId = req.headers['x-job-id'];
+  const secret = jobId && db.getCallbackSecret(jobId);
+  if (!secret) return res.status(401).json({ error: 'Unauthorized' });
+
+  const problem = callbackAuth.verify(secret, req.headers, req.rawBody || '');
+  if (problem) {
+    console.warn('[Callback] Rejected request for job ' + jobId + ': ' + problem);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!db.useCallbackNonce(jobId, req.headers['x-nonce'])) {
+    console.warn('[Callback] Rejected replayed request for job ' + jobId);
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  if (req.body.jobId && req.body.jobId !== jobId) {
+    return res.status(403).json({ error: 'Credential not valid for this job' });
+  }
+  req.callbackJobId = jobId;
   next();
 }
 
-// ── Droplet log callback ──
-app.post('/api/callback/log', requireCallbackSecret, (req, res) => {
-  const { jobId, level, message } = req.body;
-  if (!jobId || !level || !message) return res.status(400).json({ error: 'Missing fields' });
-  try {
-    db.addLog(jobId, level, '[droplet] ' + message);
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ── Droplet bootstrap: one-time token → job config + callback secret ──
+// Authenticated by the bootstrap token from user_data (not the callback secret,
+// which the agent doesn't have yet). The token stops working after this call.
+app.post('/api/callback/bootstrap', (req, res) => {
+  const jobId = req.headers['x-job-id'];
+  const match = (req.headers['authorization'] || '').match(/^Bootstrap\s+(\S+)$/i);
+  const job = jobId && db.getJob(jobId);
+  const grant = job && match && jobManager.redeemBootstrap(jobId, match[1]);
+  if (!grant) {
+    console.warn('[Callback] Rejected bootstrap request for job ' + jobId);
+    return res.status(401).json({ error: 'Unauthorized' });
   }
+  res.json({ jobId, ...grant });
 });
 
-// ── Droplet status callback ──
-app.post('/api/callback/status', requireCallbackSecret, (req, res) => {
-  const { jobId, status, ...rest } = req.body;
-  if (!jobId) return res.status(400).json({ error: 'Missing jobId' });
-  try {
-    const update = {};
-    const allowed = [
-      'status', 'lastError', 'totalChecks', 'successfulChecks', 'failedChecks',
-      'consecutiveFailures', 'reloginCount', 'lastCheckAt', 'startedAt',
-      'bookedDate', 'bookedTime', 'bookedFacility', 'bookedAt'
-    ];
-    if (status) update.status = status;
-    for (const key of allowed) {
-      if (rest[key] !== undefined) update[key] = rest[key];
+// ── Droplet event callback ──
+// The agent forwards every SchedulerInstance event here; they go onto the
+// JobManager bus exactly like events from a local instance.
+app.post('/api/callback/event', requireCallbackSecret, (req, res) => {
+  const { event, payload } = req.body;
+  try {
+    if (!jobManager.ingestRemoteEvent(req.callbackJobId, event, payload)) {
+      return res.status(400).json({ error: 'Unknown or invalid event' });
     }
-    if (Object.keys(update).length) db.updateJob(jobId, update);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Droplet log / status callbacks (agents from before /api/callback/event) ──
+app.post('/api/callback/log', requireCallbackSecret, (req, res) => {
+  const { level, message } = req.body;
+  if (!level || !message) return res.status(400).json({ error: 'Missing fields' });
+  jobManager.ingestRemoteEvent(req.callbackJobId, 'log', { level, message });
+  res.json({ ok: true });
+});
+
+app.post('/api/callback/status', requireCallbackSecret, (req, res) => {
+  jobManager.ingestRemoteEvent(req.callbackJobId, 'state', req.body);
+  res.json({ ok: true });
+});
+
 // ── Droplet destroy callback (agent signals it's done) ──
 app.post('/api/callback/destroy', requireCallbackSecret, async (req, res) => {
-  const { jobId } = req.body;
-  if (!jobId) return res.status(400).json({ error: 'Missing jobId' });
+  const jobId = req.callbackJobId;
   res.json({ ok: true }); // respond immediately, destroy in background
   try {
     await jobManager.destroyJobDroplet(jobId);
@@ -378,12 +1057,26 @@ app.get('*', (req, res) => {
 // ============================================================
 // START SERVER
 // ============================================================
+
+// First run with accounts: turn the legacy APP_PASSWORD into an admin user
+function seedAdminUser() {
+  if (db.countUsers() > 0 || !APP_PASSWORD) return;
+  const admin = db.createUser({ username: ADMIN_USERNAME, password: APP_PASSWORD, role: 'admin' });
+  db.assignUnownedApiTokens(admin.id);
+  console.log('[Auth] Created admin user "' + admin.username + '" from APP_PASSWORD.');
+}
+
 async function startServer() {
   // Init database
   db.initDatabase();
+  seedAdminUser();
+  if (!authEnabled()) {
+    console.warn('[Auth] WARNING: no user accounts and APP_PASSWORD is not set. The dashboard is unprotected!');
+  }
 
   // Init job manager
   await jobManager.init();
+  webhooks.start();
 
   app.listen(PORT, () => {
     console.log('');
@@ -397,6 +1090,7 @@ async function startServer() {
   // Graceful shutdown
   const shutdown = async () => {
     console.log('\nShutting down...');
+    eventStream.closeAll();
     await jobManager.shutdown();
     process.exit(0);
   };
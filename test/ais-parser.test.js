@@ -0,0 +1,97 @@
+// ============================================================
+// AIS PARSER TESTS - Dates, the current appointment line and
+// group page snippets
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAisDate, parseCurrentAppointment, parseGroupPage, htmlToText, addDays } = require('../ais-parser');
+
+test('AIS dates are read in either order', () => {
+  assert.strictEqual(parseAisDate('14 March, 2026'), '2026-03-14');
+  assert.strictEqual(parseAisDate('March 4, 2026'), '2026-03-04');
+  assert.strictEqual(parseAisDate('on 2026-03-14 at noon'), '2026-03-14');
+});
+
+test('text without a real date parses to null', () => {
+  assert.strictEqual(parseAisDate(''), null);
+  assert.strictEqual(parseAisDate(null), null);
+  assert.strictEqual(parseAisDate('No appointment scheduled'), null);
+  assert.strictEqual(parseAisDate('31 April, 2026'), null);
+  assert.strictEqual(parseAisDate('14 Smarch, 2026'), null);
+});
+
+test('the current appointment line gives date and time', () => {
+  assert.deepStrictEqual(parseCurrentAppointment('Consular Appointment: 14 March, 2026, 8:15 Toronto local time at Toronto'),
+    { date: '2026-03-14', time: '08:15' });
+});
+
+test('an appointment line without a time keeps the date', () => {
+  assert.deepStrictEqual(parseCurrentAppointment('Consular Appointment: 14 March, 2026'), { date: '2026-03-14', time: null });
+});
+
+test('no current appointment parses to null', () => {
+  assert.strictEqual(parseCurrentAppointment('Consular Appointment: none'), null);
+  assert.strictEqual(parseCurrentAppointment(''), null);
+});
+
+test('addDays crosses month and year ends', () => {
+  assert.strictEqual(addDays('2026-12-30', 3), '2027-01-02');
+  assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+// ── Group page ──
+function application(scheduleId, appointment, rows) {
+  return '<div class="card application attend_appointment">' +
+    '<a href="/en-ca/niv/schedule/' + scheduleId + '/appointment">Continue</a>' +
+    (appointment ? '<p class=\'consular-appt\'><strong>Consular Appointment<span>&#58;</span></strong> ' + appointment + '</p>' : '') +
+    '<table class="medium-12 columns"><tr><th>Applicant Name</th><th>Passport</th><th>Visa Class</th></tr>' +
+    rows.map(r => '<tr><td>' + r.join('</td><td>') + '</td></tr>').join('') +
+    '</table></div>';
+}
+
+test('htmlToText drops tags and decodes entities', () => {
+  assert.strictEqual(htmlToText('<b>Consular&nbsp;Appointment</b>&#58; 14 March<br/>O&#39;Neil &amp; Co'),
+    "Consular Appointment : 14 March O'Neil & Co");
+});
+
+test('a group page with several applicants lists them all', () => {
+  const html = '<h2>Groups</h2>' + application('5551234',
+    '14 March, 2026, 08:15 Toronto local time at Toronto &mdash; <a href="#">Get Directions</a>',
+    [['JANE DOE', 'X123', 'B1/B2'], ['JOHN DOE', 'X124', 'B1/B2'], ['AMY DOE', 'X125', 'F1']]);
+  assert.deepStrictEqual(parseGroupPage(html, '5551234'), {
+    appointment: { date: '2026-03-14', time: '08:15', location: 'Toronto' },
+    applicants: [
+      { name: 'JANE DOE', visaClass: 'B1/B2' },
+      { name: 'JOHN DOE', visaClass: 'B1/B2' },
+      { name: 'AMY DOE', visaClass: 'F1' }
+    ],
+    visaClass: 'B1/B2, F1'
+  });
+});
+
+test('the schedule asked for is picked from several groups', () => {
+  const html = application('111', '2 May, 2026, 09:00 Ottawa local time at Ottawa', [['FIRST PERSON', 'A1', 'B1/B2']]) +
+    application('222', '3 June, 2026, 10:30 Calgary local time at Calgary', [['SECOND PERSON', 'A2', 'H1B']]);
+  const parsed = parseGroupPage(html, '222');
+  assert.deepStrictEqual(parsed.appointment, { date: '2026-06-03', time: '10:30', location: 'Calgary' });
+  assert.deepStrictEqual(parsed.applicants, [{ name: 'SECOND PERSON', visaClass: 'H1B' }]);
+});
+
+test('a group without a current appointment still lists applicants', () => {
+  const parsed = parseGroupPage(application('5551234', null, [['JANE DOE', 'X123', 'B1/B2']]), '5551234');
+  assert.strictEqual(parsed.appointment, null);
+  assert.deepStrictEqual(parsed.applicants, [{ name: 'JANE DOE', visaClass: 'B1/B2' }]);
+});
+
+test('missing fields parse to null', () => {
+  const html = '<div class="application">' +
+    '<p class="consular-appt">Consular Appointment: 14 March, 2026</p>' +
+    '<table><tr><th>Applicant Name</th></tr><tr><td>JANE DOE</td></tr><tr><td></td></tr></table></div>';
+  assert.deepStrictEqual(parseGroupPage(html, '999'), {
+    appointment: { date: '2026-03-14', time: null, location: null },
+    applicants: [{ name: 'JANE DOE', visaClass: null }],
+    visaClass: null
+  });
+  assert.deepStrictEqual(parseGroupPage('', '999'), { appointment: null, applicants: [], visaClass: null });
+});
@@ -0,0 +1,66 @@
+// ============================================================
+// JOB EVENTS TESTS - Scheduler events → queued webhook deliveries
+// The webhook tables are replaced with in-memory stand-ins.
+// ============================================================
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const db = require('../database');
+const jobEvents = require('../job-events');
+
+let deliveries;
+db.getWebhooksForEvent = event => event === 'dates.found' ? [{ id: 'hook1' }] : [];
+db.addWebhookDelivery = delivery => deliveries.push(delivery);
+db.getDueWebhookDeliveries = () => [];
+db.getJob = () => null;
+
+const bus = new EventEmitter();
+jobEvents.subscribe(bus);
+
+beforeEach(() => {
+  deliveries = [];
+});
+
+const seen = (jobId, facilityId, matching) => bus.emit('dates.seen', jobId, { facilityId, facility: 'Toronto', dates: matching, matching });
+
+test('two identical check cycles queue one dates.found delivery', () => {
+  seen('job1', '94', ['2026-11-05', '2026-11-06']);
+  seen('job1', '94', ['2026-11-05', '2026-11-06']);
+
+  assert.strictEqual(deliveries.length, 1);
+  assert.strictEqual(deliveries[0].event, 'dates.found');
+  assert.deepStrictEqual(JSON.parse(deliveries[0].payload).data.dates, ['2026-11-05', '2026-11-06']);
+});
+
+test('a changed set of dates is delivered again', () => {
+  seen('job2', '94', ['2026-11-05']);
+  seen('job2', '94', ['2026-11-05', '2026-11-07']);
+  seen('job2', '94', ['2026-11-07']);
+
+  assert.strictEqual(deliveries.length, 3);
+});
+
+test('facilities and jobs are tracked separately', () => {
+  seen('job3', '94', ['2026-11-05']);
+  seen('job3', '95', ['2026-11-05']);
+  seen('job4', '94', ['2026-11-05']);
+
+  assert.strictEqual(deliveries.length, 3);
+});
+
+test('dates that disappear and come back are delivered again', () => {
+  seen('job5', '94', ['2026-11-05']);
+  seen('job5', '94', []);
+  seen('job5', '94', ['2026-11-05']);
+
+  assert.strictEqual(deliveries.length, 2);
+});
+
+test('a restarted job reports its dates again', () => {
+  seen('job6', '94', ['2026-11-05']);
+  bus.emit('job.started', 'job6', { mode: 'local' });
+  seen('job6', '94', ['2026-11-05']);
+
+  assert.strictEqual(deliveries.filter(d => d.event === 'dates.found').length, 2);
+});
@@ -0,0 +1,156 @@
+// ============================================================
+// MATCHING TESTS - Date ranges per facility, date rules,
+// time-of-day preferences and facility order
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  facilityDateRanges, normalizeDateRules, applyDateRules, normalizeTimePreferences, pickTime, normalizeFacilities, orderFacilities
+} = require('../matching');
+
+const RANGES = [{ start: '2027-01-01', end: '2027-01-10' }, { start: '2027-06-01', end: '2027-06-10' }];
+
+test('a facility without a window uses the job ranges', () => {
+  assert.deepStrictEqual(facilityDateRanges({ id: '94' }, RANGES), RANGES);
+  assert.deepStrictEqual(facilityDateRanges(null, RANGES), RANGES);
+});
+
+test('a window with both bounds replaces the job ranges', () => {
+  assert.deepStrictEqual(facilityDateRanges({ id: '94', startDate: '2027-02-01', endDate: '2027-03-01' }, RANGES),
+    [{ start: '2027-02-01', end: '2027-03-01' }]);
+});
+
+test('an end date alone clips each range and keeps the gaps closed', () => {
+  assert.deepStrictEqual(facilityDateRanges({ id: '94', endDate: '2027-03-01' }, RANGES),
+    [{ start: '2027-01-01', end: '2027-01-10' }]);
+  assert.deepStrictEqual(facilityDateRanges({ id: '94', endDate: '2027-01-05' }, RANGES),
+    [{ start: '2027-01-01', end: '2027-01-05' }]);
+});
+
+test('a start date alone clips each range', () => {
+  assert.deepStrictEqual(facilityDateRanges({ id: '94', startDate: '2027-01-08' }, RANGES),
+    [{ start: '2027-01-08', end: '2027-01-10' }, { start: '2027-06-01', end: '2027-06-10' }]);
+  assert.deepStrictEqual(facilityDateRanges({ id: '94', startDate: '2027-07-01' }, RANGES), []);
+});
+
+// ── Date rules (2027-01-01 is a Friday) ──
+test('empty date rules normalize to null', () => {
+  assert.strictEqual(normalizeDateRules(undefined), null);
+  assert.strictEqual(normalizeDateRules({}), null);
+  assert.strictEqual(normalizeDateRules({ blackoutDates: [], blackoutRanges: [], allowedWeekdays: [0, 1, 2, 3, 4, 5, 6], minLeadDays: 0 }), null);
+});
+
+test('date rules are sorted and deduplicated', () => {
+  assert.deepStrictEqual(normalizeDateRules({
+    blackoutDates: ['2027-01-05', '2027-01-04', '2027-01-05'],
+    blackoutRanges: [{ start: '2027-02-10', end: '2027-02-20' }, { start: '2027-02-01', end: '2027-02-12' }],
+    allowedWeekdays: [5, 1, 1, 3],
+    minLeadDays: 3
+  }), {
+    blackoutDates: ['2027-01-04', '2027-01-05'],
+    blackoutRanges: [{ start: '2027-02-01', end: '2027-02-12' }, { start: '2027-02-10', end: '2027-02-20' }],
+    allowedWeekdays: [1, 3, 5],
+    minLeadDays: 3
+  });
+});
+
+test('normalizeDateRules rejects bad rules', () => {
+  const bad = (input, message) => assert.throws(() => normalizeDateRules(input), { message });
+  bad([], 'dateRules must be an object.');
+  bad({ blackoutDates: ['2027-02-30'] }, 'dateRules.blackoutDates must be a list of YYYY-MM-DD dates.');
+  bad({ blackoutRanges: [{ start: '2027-03-01', end: '2027-02-01' }] }, 'dateRules.blackoutRanges #1: start must not be after end.');
+  bad({ allowedWeekdays: [] }, /dateRules\.allowedWeekdays must be a non-empty list/);
+  bad({ allowedWeekdays: [7] }, /dateRules\.allowedWeekdays must be a non-empty list/);
+  bad({ minLeadDays: 1.5 }, 'dateRules.minLeadDays must be a whole number from 0 to 365.');
+});
+
+test('overlapping blackout ranges exclude every day either covers', () => {
+  const rules = normalizeDateRules({
+    blackoutRanges: [{ start: '2027-02-01', end: '2027-02-12' }, { start: '2027-02-10', end: '2027-02-20' }]
+  });
+  assert.deepStrictEqual(applyDateRules(['2027-01-31', '2027-02-01', '2027-02-11', '2027-02-15', '2027-02-20', '2027-02-21'], rules, '2027-01-01'),
+    ['2027-01-31', '2027-02-21']);
+});
+
+test('every rule applies to each date', () => {
+  const rules = normalizeDateRules({
+    blackoutDates: ['2027-01-13'],
+    blackoutRanges: [{ start: '2027-01-18', end: '2027-01-19' }],
+    allowedWeekdays: [1, 2, 3, 4, 5],
+    minLeadDays: 5
+  });
+  const dates = ['2027-01-05', '2027-01-06', '2027-01-09', '2027-01-12', '2027-01-13', '2027-01-18', '2027-01-20'];
+  // 01-05 is inside the lead time, 01-09 a Saturday, 01-13 blacked out, 01-18 in the blackout range
+  assert.deepStrictEqual(applyDateRules(dates, rules, '2027-01-01'), ['2027-01-06', '2027-01-12', '2027-01-20']);
+});
+
+test('no date rules keep every date', () => {
+  const dates = ['2027-01-02', '2027-01-03'];
+  assert.strictEqual(applyDateRules(dates, null, '2027-01-01'), dates);
+});
+
+// ── Time preferences ──
+test('empty time preferences normalize to null', () => {
+  assert.strictEqual(normalizeTimePreferences(null), null);
+  assert.strictEqual(normalizeTimePreferences({}), null);
+  assert.strictEqual(normalizeTimePreferences({ earliest: '', latest: null, preferred: [] }), null);
+});
+
+test('time preferences are written as HH:MM', () => {
+  assert.deepStrictEqual(normalizeTimePreferences({ earliest: '8:15', latest: '15:30:00', preferred: ['9:00', '11:00-12:30'] }),
+    { earliest: '08:15', latest: '15:30', preferred: ['09:00', '11:00-12:30'] });
+});
+
+test('normalizeTimePreferences rejects bad preferences', () => {
+  const bad = (input, message) => assert.throws(() => normalizeTimePreferences(input), { message });
+  bad('morning', 'timePreferences must be an object.');
+  bad({ earliest: '25:00' }, 'timePreferences.earliest must be a time like 09:30.');
+  bad({ earliest: '14:00', latest: '09:00' }, 'timePreferences.earliest must not be after latest.');
+  bad({ preferred: '10:00' }, 'timePreferences.preferred must be a list.');
+  bad({ preferred: ['12:00-11:00'] }, 'timePreferences.preferred #1 must be a time (10:00) or a window (10:00-11:30).');
+});
+
+test('without preferences the earliest slot is picked', () => {
+  assert.deepStrictEqual(pickTime(['10:15', '08:30', 'soon'], null), { time: '08:30', reason: 'first available' });
+  assert.deepStrictEqual(pickTime([], null), { time: null, reason: 'no readable time slots' });
+  assert.deepStrictEqual(pickTime(['09:00'], normalizeTimePreferences({})), { time: '09:00', reason: 'first available' });
+});
+
+test('preferred entries are tried in order', () => {
+  const prefs = normalizeTimePreferences({ preferred: ['14:00', '11:00-12:30', '08:00'] });
+  assert.deepStrictEqual(pickTime(['08:00', '11:45', '12:15', '14:00'], prefs), { time: '14:00', reason: 'preference #1 (14:00)' });
+  assert.deepStrictEqual(pickTime(['08:00', '12:15', '11:45'], prefs), { time: '11:45', reason: 'preference #2 (11:00-12:30)' });
+  assert.deepStrictEqual(pickTime(['09:00', '10:00'], prefs), { time: '09:00', reason: 'no preferred slot, earliest within 00:00–23:59' });
+});
+
+test('slots outside earliest..latest are never picked', () => {
+  const prefs = normalizeTimePreferences({ earliest: '09:00', latest: '12:00', preferred: ['08:00'] });
+  assert.deepStrictEqual(pickTime(['08:00', '09:30', '12:00'], prefs), { time: '09:30', reason: 'no preferred slot, earliest within 09:00–12:00' });
+  assert.deepStrictEqual(pickTime(['08:00', '13:00'], prefs), { time: null, reason: 'none of 08:00, 13:00 is within 09:00–12:00' });
+});
+
+// ── Facilities ──
+test('plain and detailed facility ids normalize to entries', () => {
+  assert.deepStrictEqual(normalizeFacilities([94, { id: '95', startDate: '2027-02-01', endDate: '', priority: 10 }, '94']), [
+    { id: '94', startDate: null, endDate: null, priority: 0 },
+    { id: '95', startDate: '2027-02-01', endDate: null, priority: 10 }
+  ]);
+  assert.deepStrictEqual(normalizeFacilities(null), []);
+});
+
+test('normalizeFacilities rejects bad entries', () => {
+  const bad = (input, message) => assert.throws(() => normalizeFacilities(input), { message });
+  bad('94', 'facilityIds must be a list.');
+  bad([{ id: '9 4' }], 'facilityIds #1: id must be a facility ID like 94.');
+  bad(['94', { id: '95', endDate: '2027-13-01' }], 'facilityIds #2: endDate must be a YYYY-MM-DD date.');
+  bad([{ id: '94', startDate: '2027-03-01', endDate: '2027-02-01' }], 'facilityIds #1: startDate must not be after endDate.');
+  bad([{ id: '94', priority: 101 }], 'facilityIds #1: priority must be a whole number from 0 to 100.');
+});
+
+test('facilities are ordered by priority, ties keep list order', () => {
+  const order = orderFacilities(['91', { id: '92', priority: 5 }, { id: '93', priority: 50 }, '94', { id: '95', priority: 5 }]);
+  assert.deepStrictEqual(order.map(f => f.id), ['93', '92', '95', '91', '94']);
+  assert.deepStrictEqual(orderFacilities(['94', '95', '96']).map(f => f.id), ['94', '95', '96']);
+  assert.deepStrictEqual(orderFacilities(undefined), []);
+});
@@ -0,0 +1,292 @@
+// ============================================================
+// NOTIFIER TESTS - Each adapter is pointed at a local stand-in
+// (HTTP for Telegram/Discord/Slack/ntfy, SMTP for email) and the
+// request it sends is checked.
+// ============================================================
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const notifier = require('../notifier');
+
+const ENV_KEYS = [
+  'SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS', 'NOTIFY_EMAIL_FROM', 'NOTIFY_EMAIL_TO',
+  'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'TELEGRAM_API_URL',
+  'DISCORD_WEBHOOK_URL', 'SLACK_WEBHOOK_URL', 'NTFY_URL', 'NTFY_TOPIC', 'NTFY_TOKEN', 'NOTIFY_EVENTS'
+];
+
+const MESSAGE = notifier.buildMessage('booked', { name: 'Toronto B2' }, { date: '2026-11-05', time: '09:00', facility: 'Toronto' });
+
+// ── HTTP stand-in: records every request; paths under /fail answer 500 ──
+let httpServer, httpUrl, requests;
+function startHttp() {
+  httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      if (req.url.startsWith('/fail')) {
+        res.writeHead(500);
+        return res.end('upstream exploded');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => httpServer.listen(0, '127.0.0.1', () => {
+    httpUrl = 'http://127.0.0.1:' + httpServer.address().port;
+    resolve();
+  }));
+}
+
+// ── SMTP stand-in: just enough of the protocol for nodemailer; rejects recipients containing "reject" ──
+let smtpServer, smtpPort, mails;
+function startSmtp() {
+  smtpServer = net.createServer(socket => {
+    let buffer = '', inData = false, mail = null;
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end < 0) return;
+          mail.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          mails.push(mail);
+          socket.write('250 Queued\r\n');
+          continue;
+        }
+        const nl = buffer.indexOf('\r\n');
+        if (nl < 0) return;
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') socket.write('250 localhost\r\n');
+        else if (verb === 'MAIL') { mail = { from: line, to: [] }; socket.write('250 OK\r\n'); }
+        else if (verb === 'RCPT') {
+          if (/reject/i.test(line)) socket.write('550 No such user\r\n');
+          else { mail.to.push(line); socket.write('250 OK\r\n'); }
+        }
+        else if (verb === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (verb === 'QUIT') { socket.end('221 Bye\r\n'); return; }
+        else socket.write('250 OK\r\n'); // RSET, NOOP
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => smtpServer.listen(0, '127.0.0.1', () => {
+    smtpPort = smtpServer.address().port;
+    resolve();
+  }));
+}
+
+before(async () => {
+  await startHttp();
+  await startSmtp();
+});
+
+after(() => {
+  httpServer.close();
+  smtpServer.close();
+});
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  requests = [];
+  mails = [];
+});
+
+// ── Telegram ──
+test('telegram posts the message to the bot API', async () => {
+  process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+  process.env.TELEGRAM_API_URL = httpUrl;
+
+  const [result] = await notifier.deliver([{ type: 'telegram', target: '-100200' }], MESSAGE);
+
+  assert.deepStrictEqual(result, { type: 'telegram', global: false, ok: true });
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].method, 'POST');
+  assert.strictEqual(requests[0].path, '/bot123:abc/sendMessage');
+  assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+  assert.deepStrictEqual(JSON.parse(requests[0].body), {
+    chat_id: '-100200',
+    text: MESSAGE.title + '\n\n' + MESSAGE.body,
+    disable_web_page_preview: true
+  });
+});
+
+test('telegram without a bot token fails without sending', async () => {
+  process.env.TELEGRAM_API_URL = httpUrl;
+
+  const [result] = await notifier.deliver([{ type: 'telegram', target: '-100200' }], MESSAGE);
+
+  assert.deepStrictEqual(result, { type: 'telegram', global: false, ok: false, error: 'TELEGRAM_BOT_TOKEN is not set.' });
+  assert.strictEqual(requests.length, 0);
+});
+
+test('telegram reports an HTTP error from the API', async () => {
+  process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+  process.env.TELEGRAM_API_URL = httpUrl + '/fail';
+
+  const [result] = await notifier.deliver([{ type: 'telegram', target: '-100200' }], MESSAGE);
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error, 'HTTP 500 upstream exploded');
+});
+
+// ── Discord / Slack ──
+test('discord posts the message as content', async () => {
+  const [result] = await notifier.deliver([{ type: 'discord', target: httpUrl + '/discord/hook' }], MESSAGE);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(requests[0].path, '/discord/hook');
+  assert.deepStrictEqual(JSON.parse(requests[0].body), { content: '**' + MESSAGE.title + '**\n' + MESSAGE.body });
+});
+
+test('slack posts the message as text', async () => {
+  const [result] = await notifier.deliver([{ type: 'slack', target: httpUrl + '/slack/hook' }], MESSAGE);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(requests[0].path, '/slack/hook');
+  assert.deepStrictEqual(JSON.parse(requests[0].body), { text: '*' + MESSAGE.title + '*\n' + MESSAGE.body });
+});
+
+test('a failing webhook does not stop the other channels', async () => {
+  const results = await notifier.deliver([
+    { type: 'discord', target: httpUrl + '/fail/discord' },
+    { type: 'slack', target: httpUrl + '/slack/hook', global: true }
+  ], MESSAGE);
+
+  assert.deepStrictEqual(results, [
+    { type: 'discord', global: false, ok: false, error: 'HTTP 500 upstream exploded' },
+    { type: 'slack', global: true, ok: true }
+  ]);
+  assert.strictEqual(requests.length, 2);
+});
+
+test('an unreachable webhook is reported as failed', async () => {
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const port = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+
+  const [result] = await notifier.deliver([{ type: 'slack', target: 'http://127.0.0.1:' + port + '/hook' }], MESSAGE);
+
+  assert.strictEqual(result.ok, false);
+  assert.ok(result.error);
+});
+
+// ── ntfy ──
+test('ntfy posts a topic to NTFY_URL with title, priority and token', async () => {
+  process.env.NTFY_URL = httpUrl + '/';
+  process.env.NTFY_TOKEN = 'tk_secret';
+
+  const [result] = await notifier.deliver([{ type: 'ntfy', target: 'visa-alerts' }], MESSAGE);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(requests[0].path, '/visa-alerts');
+  assert.strictEqual(requests[0].headers['title'], 'Appointment booked Toronto B2');
+  assert.strictEqual(requests[0].headers['priority'], 'high');
+  assert.strictEqual(requests[0].headers['authorization'], 'Bearer tk_secret');
+  assert.strictEqual(requests[0].body, MESSAGE.title + '\n' + MESSAGE.body);
+});
+
+test('ntfy accepts a full topic URL', async () => {
+  const [result] = await notifier.deliver([{ type: 'ntfy', target: httpUrl + '/other-topic' }], MESSAGE);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(requests[0].path, '/other-topic');
+  assert.strictEqual(requests[0].headers['authorization'], undefined);
+});
+
+test('ntfy reports an HTTP error', async () => {
+  const [result] = await notifier.deliver([{ type: 'ntfy', target: httpUrl + '/fail/topic' }], MESSAGE);
+
+  assert.deepStrictEqual(result, { type: 'ntfy', global: false, ok: false, error: 'HTTP 500 upstream exploded' });
+});
+
+// ── Email ──
+test('email sends the message through SMTP', async () => {
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtpPort);
+  process.env.NOTIFY_EMAIL_FROM = 'scheduler@example.com';
+
+  const [result] = await notifier.deliver([{ type: 'email', target: 'me@example.com' }], MESSAGE);
+
+  assert.strictEqual(result.ok, true, result.error);
+  assert.strictEqual(mails.length, 1);
+  assert.match(mails[0].from, /<scheduler@example\.com>/);
+  assert.deepStrictEqual(mails[0].to.length, 1);
+  assert.match(mails[0].to[0], /<me@example\.com>/);
+  assert.match(mails[0].data, /^Subject: /m);
+  assert.match(mails[0].data, /Date: 2026-11-05/);
+  assert.match(mails[0].data, /Location: Toronto/);
+});
+
+test('email without SMTP_HOST fails without connecting', async () => {
+  const [result] = await notifier.deliver([{ type: 'email', target: 'me@example.com' }], MESSAGE);
+
+  assert.deepStrictEqual(result, { type: 'email', global: false, ok: false, error: 'SMTP_HOST is not set.' });
+  assert.strictEqual(mails.length, 0);
+});
+
+test('email reports a recipient the server rejects', async () => {
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtpPort);
+  process.env.NOTIFY_EMAIL_FROM = 'scheduler@example.com';
+
+  const [result] = await notifier.deliver([{ type: 'email', target: 'reject@example.com' }], MESSAGE);
+
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /550/);
+  assert.strictEqual(mails.length, 0);
+});
+
+// ── Global channels from env ──
+test('globalChannels reads every channel and the event filter from env', () => {
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.NOTIFY_EMAIL_TO = 'team@example.com';
+  process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+  process.env.TELEGRAM_CHAT_ID = '42';
+  process.env.DISCORD_WEBHOOK_URL = httpUrl + '/discord';
+  process.env.SLACK_WEBHOOK_URL = httpUrl + '/slack';
+  process.env.NTFY_TOPIC = 'visa';
+  process.env.NOTIFY_EVENTS = 'booked, error';
+
+  assert.deepStrictEqual(notifier.globalChannels(), [
+    { type: 'email', target: 'team@example.com', events: ['booked', 'error'], global: true },
+    { type: 'telegram', target: '42', events: ['booked', 'error'], global: true },
+    { type: 'discord', target: httpUrl + '/discord', events: ['booked', 'error'], global: true },
+    { type: 'slack', target: httpUrl + '/slack', events: ['booked', 'error'], global: true },
+    { type: 'ntfy', target: 'visa', events: ['booked', 'error'], global: true }
+  ]);
+});
+
+// ── Job settings validation ──
+test('normalizeJobNotifications accepts valid channels', () => {
+  assert.deepStrictEqual(notifier.normalizeJobNotifications({
+    events: ['booked', 'booked'],
+    channels: [{ type: 'email', target: ' me@example.com ' }, { type: 'ntfy', target: 'visa-alerts' }]
+  }), {
+    events: ['booked'],
+    channels: [{ type: 'email', target: 'me@example.com' }, { type: 'ntfy', target: 'visa-alerts' }]
+  });
+  assert.deepStrictEqual(notifier.normalizeJobNotifications(null), { events: notifier.EVENTS, channels: [] });
+});
+
+test('normalizeJobNotifications rejects bad settings', () => {
+  const bad = (input, message) => assert.throws(() => notifier.normalizeJobNotifications(input), { message });
+  bad('yes', 'notifications must be an object.');
+  bad({ events: ['sometimes'] }, /notifications\.events must be a list of/);
+  bad({ channels: [{ type: 'pager', target: 'x' }] }, /Notification channel #1: type must be one of/);
+  bad({ channels: [{ type: 'email', target: '' }] }, 'Notification channel #1: target is required.');
+  bad({ channels: [{ type: 'email', target: 'not-an-email' }] }, 'Notification channel #1: not a valid email address.');
+  bad({ channels: [{ type: 'telegram', target: 'abc' }] }, 'Notification channel #1: Telegram chat id must be numeric or @channel.');
+  bad({ channels: [{ type: 'discord', target: 'discord.com/api/webhooks/1' }] }, 'Notification channel #1: webhook URL must start with https://.');
+  bad({ channels: [{ type: 'slack', target: 'http://hooks.slack.com/services/1' }] }, 'Notification channel #1: webhook URL must start with https://.');
+  bad({ channels: [{ type: 'ntfy', target: 'has spaces' }] }, 'Notification channel #1: ntfy target must be a topic name or an https:// URL.');
+  bad({ channels: [{ type: 'ntfy', target: 'http://127.0.0.1/visa-alerts' }] }, 'Notification channel #1: ntfy target must be a topic name or an https:// URL.');
+});
@@ -0,0 +1,33 @@
+// ============================================================
+// REDACT TESTS - Secrets masked, ordinary scheduler text kept
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { redact, MASK } = require('../redact');
+
+test('ordinary "session" log lines are left alone', () => {
+  assert.strictEqual(redact('Session: expired, re-logging in'), 'Session: expired, re-logging in');
+  assert.strictEqual(redact('session=started for facility 94'), 'session=started for facility 94');
+  assert.strictEqual(redact('Session expired (HTTP 401)'), 'Session expired (HTTP 401)');
+});
+
+test('the AIS session cookie is masked', () => {
+  assert.strictEqual(redact('_yatri_session=abc123DEF456; path=/'), '_yatri_session=' + MASK + '; path=/');
+  assert.strictEqual(redact('{"_yatri_session": "abc123DEF456"}'), '{"_yatri_session": "' + MASK + '"}');
+  assert.strictEqual(redact('Cookie: _yatri_session=abc123DEF456; other=1'), 'Cookie: ' + MASK);
+});
+
+test('session id fields are masked', () => {
+  assert.strictEqual(redact('session_id=42abc'), 'session_id=' + MASK);
+  assert.strictEqual(redact('sessionId: 42abc'), 'sessionId: ' + MASK);
+  assert.strictEqual(redact('PHPSESSID=42abc'), 'PHPSESSID=' + MASK);
+});
+
+test('passwords, tokens and emails are masked', () => {
+  assert.strictEqual(redact('user[password]=hunter22&x=1'), 'user[password]=' + MASK + '&x=1');
+  assert.strictEqual(redact('X-CSRF-Token: tok123'), 'X-CSRF-Token: ' + MASK);
+  assert.strictEqual(redact('Authorization: Bearer abc.def'), 'Authorization: Bearer ' + MASK);
+  assert.strictEqual(redact('Logged in as john.doe@example.com'), 'Logged in as j***@example.com');
+  assert.strictEqual(redact('pw is hunter22', ['hunter22']), 'pw is ' + MASK);
+});
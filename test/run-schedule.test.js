@@ -0,0 +1,65 @@
+// ============================================================
+// RUN SCHEDULE TESTS - Wall times across DST changes
+// 2026-03-08 is the spring-forward day in America/Toronto
+// (02:00 → 03:00); 2026-03-29 in Europe/Berlin (02:00 → 03:00).
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const runSchedule = require('../run-schedule');
+
+const iso = dates => dates.map(d => d.toISOString());
+
+test('a cron time inside a spring-forward gap fires just after the gap', () => {
+  // 02:30 does not exist; read with the EST offset it is 03:30 EDT
+  assert.deepStrictEqual(iso(runSchedule.nextCronTimes('30 2 * * *', 'America/Toronto', new Date('2026-03-07T12:00:00Z'), 2)),
+    ['2026-03-08T07:30:00.000Z', '2026-03-09T06:30:00.000Z']);
+  assert.deepStrictEqual(iso(runSchedule.nextCronTimes('30 2 * * *', 'Europe/Berlin', new Date('2026-03-28T12:00:00Z'), 2)),
+    ['2026-03-29T01:30:00.000Z', '2026-03-30T00:30:00.000Z']);
+});
+
+test('times around a gap stay in order without repeats', () => {
+  const times = runSchedule.nextCronTimes('0,30 * * * *', 'America/Toronto', new Date('2026-03-08T05:50:00Z'), 5);
+  assert.deepStrictEqual(iso(times), [
+    '2026-03-08T06:00:00.000Z', // 01:00 EST
+    '2026-03-08T06:30:00.000Z', // 01:30 EST
+    '2026-03-08T07:00:00.000Z', // 03:00 EDT (02:00 and 03:00 both land here)
+    '2026-03-08T07:30:00.000Z', // 03:30 EDT (also 02:30)
+    '2026-03-08T08:00:00.000Z'  // 04:00 EDT
+  ]);
+});
+
+test('an active window starting inside a gap is scheduled after the gap', () => {
+  const activeHours = runSchedule.normalizeActiveHours({
+    timezone: 'America/Toronto',
+    windows: [{ days: [0], start: '02:30', end: '05:00' }]
+  });
+  assert.strictEqual(runSchedule.nextWindowStart(activeHours, new Date('2026-03-08T05:00:00Z')).toISOString(), '2026-03-08T07:30:00.000Z');
+  // The window is compared on the wall clock: closed at 01:30 EST, open at 03:00 EDT
+  assert.strictEqual(runSchedule.activeWindowAt(activeHours, new Date('2026-03-08T06:30:00Z')), null);
+  assert.strictEqual(runSchedule.activeWindowAt(activeHours, new Date('2026-03-08T07:00:00Z')).until.toISOString(), '2026-03-08T09:00:00.000Z');
+});
+
+test('wall times outside a DST change map directly', () => {
+  assert.deepStrictEqual(iso(runSchedule.nextCronTimes('0 9 * * *', 'America/Toronto', new Date('2026-07-01T00:00:00Z'), 1)),
+    ['2026-07-01T13:00:00.000Z']);
+  assert.deepStrictEqual(iso(runSchedule.nextCronTimes('0 9 * * *', 'America/Toronto', new Date('2026-01-01T00:00:00Z'), 1)),
+    ['2026-01-01T14:00:00.000Z']);
+});
+
+test('a tight cron expression finds its next times quickly', () => {
+  runSchedule.nextCronTimes('* * * * *', 'America/Toronto', new Date(), 1); // warm-up
+  const started = process.hrtime.bigint();
+  const times = runSchedule.nextCronTimes('* * * * *', 'America/Toronto', new Date('2026-10-19T12:00:30Z'), 2);
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.deepStrictEqual(iso(times), ['2026-10-19T12:01:00.000Z', '2026-10-19T12:02:00.000Z']);
+  assert.ok(elapsedMs < 50, '* * * * * took ' + elapsedMs.toFixed(1) + ' ms');
+});
+
+test('fifty previews of a tight expression stay within the bound', () => {
+  const started = process.hrtime.bigint();
+  const times = runSchedule.nextCronTimes('* * * * *', 'Europe/Berlin', new Date('2026-03-29T00:30:00Z'), 50);
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.strictEqual(times.length, 50);
+  assert.ok(elapsedMs < 100, '50 times took ' + elapsedMs.toFixed(1) + ' ms');
+});
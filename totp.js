@@ -0,0 +1,97 @@
+// ============================================================
+// TOTP - RFC 6238 time-based one-time passwords (HMAC-SHA1,
+// 6 digits, 30s step) for the optional dashboard second factor.
+// Compatible with Google Authenticator, 1Password, Authy, etc.
+// ============================================================
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character in TOTP secret.');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, base32 (what authenticator apps expect)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// ── HOTP value for one time step (RFC 4226 dynamic truncation) ──
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// ── Check a code, allowing ±1 step of clock drift ──
+// Returns the matched time step (so callers can reject reuse) or null.
+function verify(secret, code, { window = 1, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = codeAt(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step + i;
+  }
+  return null;
+}
+
+function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(issuer + ':' + accountName);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return 'otpauth://totp/' + label + '?' + params.toString();
+}
+
+module.exports = {
+  generateSecret,
+  verify,
+  otpauthUrl,
+  codeAt,
+  currentStep
+};
@@ -0,0 +1,150 @@
+// ============================================================
+// WEBHOOKS - Signed outgoing webhooks for job lifecycle events
+// Every event gets an id; one delivery row per subscribed
+// webhook, retried with exponential backoff until it succeeds
+// or runs out of attempts. Receivers verify:
+//   X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, timestamp + '.' + body)
+// ============================================================
+
+const crypto = require('crypto');
+const db = require('./database');
+
+const EVENTS = [
+  'job.started',
+  'job.stopped',
+  'job.expired',
+  'job.error',
+  'dates.found',
+  'booking.succeeded',
+  'booking.unverified',
+  'job.blocked',
+  'droplet.destroyed'
+];
+
+const MAX_ATTEMPTS = 8;               // ~4h of retries in total
+const BASE_RETRY_SECONDS = 30;        // 30s, 1m, 2m, 4m, 8m, 16m, 32m, 64m ...
+const MAX_RETRY_SECONDS = 2 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+const WORKER_INTERVAL_MS = 5000;
+
+let workerTimer = null;
+let processing = false;
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+}
+
+// ── Queue an event for every subscribed webhook ──
+// Returns the event id (null when nobody is subscribed). Never throws.
+function emit(event, jobId, data = {}) {
+  try {
+    const hooks = db.getWebhooksForEvent(event);
+    if (hooks.length === 0) return null;
+
+    const job = jobId ? db.getJob(jobId) : null;
+    const eventId = 'evt_' + crypto.randomBytes(12).toString('hex');
+    const payload = JSON.stringify({
+      id: eventId,
+      type: event,
+      createdAt: new Date().toISOString(),
+      job: job ? { id: job.id, name: job.name, status: job.status } : (jobId ? { id: jobId } : null),
+      data
+    });
+    for (const hook of hooks) {
+      db.addWebhookDelivery({ webhookId: hook.id, eventId, event, jobId, payload });
+    }
+    setImmediate(processDue);
+    return eventId;
+  } catch (err) {
+    console.error('[Webhooks] Failed to queue ' + event + ':', err.message);
+    return null;
+  }
+}
+
+function retryDelaySeconds(attempt) {
+  return Math.min(BASE_RETRY_SECONDS * 2 ** (attempt - 1), MAX_RETRY_SECONDS);
+}
+
+// ── One HTTP attempt for a delivery ──
+async function attempt(delivery) {
+  const hook = db.getWebhook(delivery.webhookId);
+  if (!hook) {
+    db.recordWebhookAttempt(delivery.id, { ok: false, error: 'Webhook deleted', retryInSeconds: null });
+    return;
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attemptNo = delivery.attempts + 1;
+  let result;
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'usvisa-scheduler-webhooks/1',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(db.getWebhookSecret(hook.id), timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    result = res.ok
+      ? { ok: true, statusCode: res.status }
+      : { ok: false, statusCode: res.status, error: 'HTTP ' + res.status };
+  } catch (err) {
+    result = { ok: false, error: err.name === 'TimeoutError' ? 'timeout' : err.message };
+  }
+
+  if (!result.ok) {
+    result.retryInSeconds = attemptNo < MAX_ATTEMPTS ? retryDelaySeconds(attemptNo) : null;
+    console.warn('[Webhooks] Delivery #' + delivery.id + ' (' + delivery.event + ' → ' + hook.url + ') failed: ' +
+      result.error + (result.retryInSeconds ? ' — retry in ' + result.retryInSeconds + 's' : ' — giving up'));
+  }
+  db.recordWebhookAttempt(delivery.id, result);
+}
+
+// ── Send everything that is due (one pass at a time) ──
+async function processDue() {
+  if (processing) return;
+  processing = true;
+  try {
+    let due;
+    while ((due = db.getDueWebhookDeliveries()).length > 0) {
+      for (const delivery of due) await attempt(delivery);
+    }
+  } catch (err) {
+    console.error('[Webhooks] Worker error:', err.message);
+  } finally {
+    processing = false;
+  }
+}
+
+// ── Queue a past delivery again (same event id and payload) ──
+function redeliver(deliveryId) {
+  const delivery = db.requeueWebhookDelivery(deliveryId);
+  if (delivery) setImmediate(processDue);
+  return delivery;
+}
+
+function start() {
+  if (workerTimer) return;
+  workerTimer = setInterval(processDue, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+}
+
+function stop() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  EVENTS,
+  emit,
+  redeliver,
+  processDue,
+  start,
+  stop
+};